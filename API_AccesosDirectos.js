@@ -0,0 +1,206 @@
+/**
+ * Archivo: API_AccesosDirectos.js
+ * Propósito: Sigue los accesos directos hasta su destino y audita los permisos y la ubicación del destino
+ * en lugar de los del acceso directo, marcando los destinos que viven fuera de la unidad o del dominio.
+ * Los destinos que son carpetas no se recorren: su contenido pertenece a otro árbol y se audita aparte.
+ */
+
+// Destinos ya resueltos en esta ejecución, con sus permisos, por ID de destino (varios accesos directos suelen apuntar al mismo)
+const destinosAccesoDirectoEnCache = {};
+// Nombres de Unidades Compartidas ya consultados (null = la organización no la administra o no es legible)
+const nombresUnidadEnCache = {};
+
+/**
+ * Lee en vivo los metadatos de un elemento necesarios para resolver y ubicar un acceso directo.
+ * @param {string} idElemento - ID del elemento (acceso directo o destino).
+ * @return {Object} Recurso `File` con además `nombreUnidad` si pertenece a una Unidad Compartida.
+ */
+function leerElementoAccesoDirectoDrive(idElemento) {
+    const elemento = Drive.Files.get(idElemento, {
+        supportsAllDrives: true,
+        fields: 'id, name, mimeType, webViewLink, driveId, parents, trashed, owners(emailAddress, displayName), shortcutDetails(targetId, targetMimeType), inheritedPermissionsDisabled, copyRequiresWriterPermission'
+    });
+    if (elemento.driveId) {
+        elemento.nombreUnidad = leerNombreUnidad(elemento.driveId);
+    }
+    return elemento;
+}
+
+/**
+ * Obtiene el nombre de una Unidad Compartida como administrador de dominio.
+ * @param {string} idUnidad - ID de la Unidad Compartida.
+ * @return {string|null} Nombre de la unidad, o null si la organización no puede leerla (unidad de otro dominio).
+ */
+function leerNombreUnidad(idUnidad) {
+    if (nombresUnidadEnCache[idUnidad] === undefined) {
+        try {
+            nombresUnidadEnCache[idUnidad] = Drive.Drives.get(idUnidad, { useDomainAdminAccess: true, fields: 'name' }).name;
+        } catch (error) {
+            Logger.log(`[Acceso directo] Unidad ${idUnidad} no legible como administrador: ${error.message}`);
+            nombresUnidadEnCache[idUnidad] = null;
+        }
+    }
+    return nombresUnidadEnCache[idUnidad];
+}
+
+/**
+ * Sigue la cadena de un acceso directo hasta un elemento que no lo sea. Se corta si un eslabón se repite
+ * o si se superan MAXIMO_SALTOS_ACCESO_DIRECTO, para no quedar atrapado en un bucle de accesos directos.
+ * @param {Object} accesoDirecto - Recurso `File` del acceso directo (con `shortcutDetails`).
+ * @param {Object} fuenteDatos - Fuente de datos de la corrida (ver "obtenerFuenteDatos" en API_FuenteDatos.js).
+ * @return {Object} { destino: File|null, cadena: Array<File>, bucle: boolean, error: string|null } donde
+ * cadena son los elementos leídos después del acceso directo, en orden.
+ */
+function resolverDestinoAccesoDirecto(accesoDirecto, fuenteDatos) {
+    const visitados = [accesoDirecto.id];
+    const cadena = [];
+    let actual = accesoDirecto;
+
+    while (actual.mimeType === MimeType.SHORTCUT) {
+        const idDestino = actual.shortcutDetails && actual.shortcutDetails.targetId;
+        if (!idDestino) {
+            return { destino: null, cadena: cadena, bucle: false, error: `"${actual.name}" no informa el ID de su destino.` };
+        }
+        if (visitados.indexOf(idDestino) >= 0 || visitados.length > MAXIMO_SALTOS_ACCESO_DIRECTO) {
+            return { destino: null, cadena: cadena, bucle: true, error: `Cadena de accesos directos en bucle o demasiado larga: ${visitados.concat(idDestino).join(' -> ')}` };
+        }
+        visitados.push(idDestino);
+
+        try {
+            actual = fuenteDatos.leerElemento(idDestino);
+        } catch (error) {
+            return { destino: null, cadena: cadena, bucle: false, error: `Destino ${idDestino} no legible: ${error.message}` };
+        }
+        cadena.push(actual);
+    }
+
+    if (actual.trashed) {
+        return { destino: null, cadena: cadena, bucle: false, error: `El destino "${actual.name}" (${actual.id}) está en la papelera.` };
+    }
+    return { destino: actual, cadena: cadena, bucle: false, error: null };
+}
+
+/**
+ * Describe dónde vive un destino: su Unidad Compartida o la Mi unidad de sus propietarios.
+ * @param {Object} destino - Recurso `File` del destino (ver "leerElementoAccesoDirectoDrive").
+ * @return {string} Ej. 'Unidad Compartida "Finanzas"' o 'Mi unidad de ana@proveedor.com'.
+ */
+function describirUbicacionDestino(destino) {
+    if (destino.driveId) {
+        return `Unidad Compartida "${destino.nombreUnidad || destino.driveId}"`;
+    }
+    const propietarios = (destino.owners || []).map(propietario => propietario.emailAddress).join(', ');
+    return `Mi unidad de ${propietarios || 'un propietario no visible'}`;
+}
+
+/**
+ * Resuelve el destino de un acceso directo y lee sus permisos, con caché por ejecución según el ID de destino: lo que
+ * depende de cada acceso directo (su unidad, sus hallazgos) se calcula aparte en "evaluarDestinoAccesoDirecto".
+ * @param {Object} accesoDirecto - Recurso `File` del acceso directo, tal como llega del listado.
+ * @param {Object} fuenteDatos - Fuente de datos de la corrida.
+ * @return {Object} { resolucion (ver "resolverDestinoAccesoDirecto"), conjunto, errorPermisos }.
+ */
+function leerDestinoAccesoDirecto(accesoDirecto, fuenteDatos) {
+    const idDestino = accesoDirecto.shortcutDetails ? accesoDirecto.shortcutDetails.targetId : '';
+    const claveCache = `${fuenteDatos.descriptor.idArchivo || 'DRIVE'}:${idDestino}`;
+    if (idDestino && destinosAccesoDirectoEnCache[claveCache]) {
+        return destinosAccesoDirectoEnCache[claveCache];
+    }
+
+    const resolucion = resolverDestinoAccesoDirecto(accesoDirecto, fuenteDatos);
+    let conjunto = null;
+    let errorPermisos = null;
+    if (!resolucion.error) {
+        try {
+            conjunto = construirConjuntoPermisos(fuenteDatos.listarPermisos(resolucion.destino.id, false), extraerAjustesUsoCompartido(resolucion.destino)); // API_Permisos.js
+        } catch (error) {
+            errorPermisos = `Permisos del destino no legibles: ${error.message}`;
+        }
+    }
+
+    const lectura = { resolucion: resolucion, conjunto: conjunto, errorPermisos: errorPermisos };
+    if (idDestino) {
+        destinosAccesoDirectoEnCache[claveCache] = lectura;
+    }
+    return lectura;
+}
+
+/**
+ * Evalúa el destino de un acceso directo (leído con caché, ver "leerDestinoAccesoDirecto") y sus hallazgos de ubicación.
+ * Fuera de la unidad: el destino no comparte la Unidad Compartida del acceso directo (en Mi unidad solo se distingue
+ * por el dominio). Fuera del dominio: algún propietario es de otro dominio, o su unidad no es administrable por la organización.
+ * @param {Object} accesoDirecto - Recurso `File` del acceso directo, tal como llega del listado.
+ * @param {string} dominioOrganizacion - Dominio principal de la organización.
+ * @param {Object} fuenteDatos - Fuente de datos de la corrida.
+ * @return {Object} { destino, conjunto, hallazgos: Array<{ tipoRiesgo, peso, principal }>, descripcion, error }.
+ */
+function evaluarDestinoAccesoDirecto(accesoDirecto, dominioOrganizacion, fuenteDatos) {
+    const idDestino = accesoDirecto.shortcutDetails ? accesoDirecto.shortcutDetails.targetId : '';
+    const { resolucion, conjunto, errorPermisos } = leerDestinoAccesoDirecto(accesoDirecto, fuenteDatos);
+
+    const hallazgos = [];
+    const agregar = (tipoRiesgo, principal) => {
+        hallazgos.push({ tipoRiesgo: tipoRiesgo, peso: MATRIZ_SEVERIDAD_ACCESOS_DIRECTOS[tipoRiesgo], principal: principal });
+    };
+
+    if (resolucion.error) {
+        agregar(resolucion.bucle ? 'Acceso Directo en Bucle' : 'Destino Inaccesible', idDestino || '(sin destino)');
+        return { destino: null, conjunto: null, hallazgos: hallazgos, descripcion: `${idDestino} | ${resolucion.error}`, error: resolucion.error };
+    }
+
+    const destino = resolucion.destino;
+    const ubicacion = describirUbicacionDestino(destino);
+    const marcas = [];
+
+    agregar('Acceso Directo', `${destino.name} (${destino.id})`);
+    if ((destino.driveId || null) !== (accesoDirecto.driveId || null)) {
+        agregar('Destino fuera de la Unidad', ubicacion);
+        marcas.push('[FUERA DE LA UNIDAD]');
+    }
+    // Un propietario sin correo legible no se da por externo: solo cuenta un dominio conocido y distinto
+    const propietarioExterno = (destino.owners || []).some(propietario => {
+        const dominio = extraerDominioCorreo(propietario.emailAddress); // API_Permisos.js
+        return dominio && dominio !== dominioOrganizacion;
+    });
+    if (propietarioExterno || (destino.driveId && destino.nombreUnidad === null)) {
+        agregar('Destino Externo al Dominio', ubicacion);
+        marcas.push('[EXTERNO AL DOMINIO]');
+    }
+    if (errorPermisos) {
+        agregar('Destino Inaccesible', `${destino.name} (${destino.id})`);
+    }
+
+    const descripcion = [destino.id, destino.name, ubicacion, destino.webViewLink].concat(marcas).filter(parte => parte).join(' | ');
+    return { destino: destino, conjunto: conjunto, hallazgos: hallazgos, descripcion: descripcion, error: errorPermisos };
+}
+
+/**
+ * Construye las filas de hallazgo de un acceso directo: los permisos de su destino se comparan con los de la carpeta
+ * que contiene el acceso directo, y la resolución siempre se reporta (al menos como hallazgo informativo).
+ * @param {Object} conjuntoCarpeta - Conjunto de permisos de la carpeta que contiene el acceso directo.
+ * @param {Object} accesoDirecto - Recurso `File` del acceso directo.
+ * @param {string} ruta - Ruta amigable del acceso directo.
+ * @param {string} dominioOrganizacion - Dominio principal de la organización.
+ * @param {Object} fuenteDatos - Fuente de datos de la corrida.
+ * @param {string} modoSalida - 'CONSOLIDADO' o 'NORMALIZADO'.
+ * @return {Array} Filas listas para "volcarHallazgoAPaginacion" (API_SalidaDrive.js).
+ */
+function construirFilasAccesoDirecto(conjuntoCarpeta, accesoDirecto, ruta, dominioOrganizacion, fuenteDatos, modoSalida) {
+    const evaluacion = evaluarDestinoAccesoDirecto(accesoDirecto, dominioOrganizacion, fuenteDatos);
+    const url = accesoDirecto.webViewLink;
+
+    if (!evaluacion.conjunto) {
+        const riesgo = calcularRiesgoHallazgo([], dominioOrganizacion, evaluacion.hallazgos); // API_Riesgo.js
+        if (modoSalida === 'NORMALIZADO') {
+            return evaluacion.hallazgos.map(hallazgo => [accesoDirecto.id, ruta, accesoDirecto.mimeType, hallazgo.principal, 'acceso directo', '', evaluacion.error, '', hallazgo.tipoRiesgo, NIVELES_SEVERIDAD[hallazgo.peso], url]);
+        }
+        return [[ruta, url, 'Acceso Directo', evaluacion.error, riesgo.tipoRiesgo, riesgo.severidad, accesoDirecto.id, JSON.stringify(conjuntoCarpeta), '', '', evaluacion.descripcion]];
+    }
+
+    if (modoSalida === 'NORMALIZADO') {
+        return construirFilasNormalizadas(conjuntoCarpeta, evaluacion.conjunto, ruta, url, accesoDirecto.mimeType, accesoDirecto.id, dominioOrganizacion, evaluacion.hallazgos); // API_Permisos.js
+    }
+    const fila = registrarDiferenciasPermisos(conjuntoCarpeta, evaluacion.conjunto, ruta, url, 'Acceso Directo', dominioOrganizacion, accesoDirecto.id, evaluacion.hallazgos); // API_Permisos.js
+    fila[fila.length - 1] = evaluacion.descripcion;
+    return [fila];
+}
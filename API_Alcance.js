@@ -0,0 +1,82 @@
+/**
+ * Archivo: API_Alcance.js
+ * Propósito: Reglas de alcance del rastreo (patrones de exclusión, profundidad máxima, carpetas omitidas
+ * y filtros por tipo MIME) que deciden qué hijos se auditan y qué subcarpetas se recorren.
+ */
+
+/**
+ * Arma el filtro de alcance a partir de la configuración vigente. Se crea una vez por ejecución del worker.
+ * @return {Object} { patrones: Array<{ regExp, contraRuta }>, profundidadMaxima, carpetasExcluidas, mimeIncluidos, mimeExcluidos }.
+ */
+function crearFiltroAlcance() {
+    return {
+        // Un patrón con "/" se compara con la ruta completa; sin "/" solo con el nombre del elemento
+        patrones: obtenerAjuste('patronesExclusion').map(patron => ({ regExp: convertirGlobARegExp(patron), contraRuta: patron.includes('/') })),
+        profundidadMaxima: obtenerAjuste('profundidadMaxima'),
+        carpetasExcluidas: obtenerAjuste('carpetasExcluidas'),
+        mimeIncluidos: obtenerAjuste('tiposMimeIncluidos').map(patron => convertirGlobARegExp(patron)),
+        mimeExcluidos: obtenerAjuste('tiposMimeExcluidos').map(patron => convertirGlobARegExp(patron))
+    };
+}
+
+/**
+ * Convierte un patrón glob en una expresión regular anclada y sin distinguir mayúsculas.
+ * "*" abarca cualquier texto sin "/", "**" cualquier texto incluso con "/" y "?" un solo carácter.
+ * @param {string} patron - Patrón glob (ej. "Archivo*", "Unidad/Histórico/**" o "image/*").
+ * @return {RegExp} Expresión equivalente.
+ */
+function convertirGlobARegExp(patron) {
+    let expresion = '';
+    for (let i = 0; i < patron.length; i++) {
+        const caracter = patron[i];
+        if (caracter === '*' && patron[i + 1] === '*') {
+            expresion += '.*';
+            i += 1;
+        } else if (caracter === '*') {
+            expresion += '[^/]*';
+        } else if (caracter === '?') {
+            expresion += '[^/]';
+        } else {
+            expresion += caracter.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${expresion}$`, 'i');
+}
+
+/**
+ * Decide si un hijo listado entra en el alcance de la auditoría.
+ * @param {Object} filtroAlcance - Filtro creado por "crearFiltroAlcance".
+ * @param {Object} elemento - Recurso `File` del listado (id, name, mimeType).
+ * @param {string} ruta - Ruta amigable del elemento.
+ * @param {number} profundidad - Niveles desde la raíz auditada (sus hijos directos son el nivel 1).
+ * @return {Object} { auditar: boolean, recorrer: boolean, motivo: string } donde auditar indica si se evalúan sus
+ * permisos y recorrer si una carpeta se encola para listar su contenido. motivo queda vacío si no se omite nada.
+ */
+function evaluarAlcanceElemento(filtroAlcance, elemento, ruta, profundidad) {
+    const esCarpeta = elemento.mimeType === MimeType.FOLDER;
+
+    const patronCoincidente = filtroAlcance.patrones.find(patron => patron.regExp.test(patron.contraRuta ? ruta : elemento.name));
+    if (patronCoincidente) {
+        return { auditar: false, recorrer: false, motivo: 'Patrón de exclusión' };
+    }
+    if (filtroAlcance.profundidadMaxima > 0 && profundidad > filtroAlcance.profundidadMaxima) {
+        return { auditar: false, recorrer: false, motivo: 'Profundidad máxima' };
+    }
+
+    if (!esCarpeta) {
+        const mimeIncluido = filtroAlcance.mimeIncluidos.length === 0 || filtroAlcance.mimeIncluidos.some(regExp => regExp.test(elemento.mimeType));
+        if (!mimeIncluido || filtroAlcance.mimeExcluidos.some(regExp => regExp.test(elemento.mimeType))) {
+            return { auditar: false, recorrer: false, motivo: 'Tipo MIME' };
+        }
+        return { auditar: true, recorrer: false, motivo: '' };
+    }
+
+    // Las carpetas excluidas por ID y las del último nivel permitido se auditan, pero su contenido no se recorre
+    if (filtroAlcance.carpetasExcluidas.indexOf(elemento.id) >= 0) {
+        return { auditar: true, recorrer: false, motivo: 'Carpeta excluida' };
+    }
+    if (filtroAlcance.profundidadMaxima > 0 && profundidad >= filtroAlcance.profundidadMaxima) {
+        return { auditar: true, recorrer: false, motivo: 'Profundidad máxima' };
+    }
+    return { auditar: true, recorrer: true, motivo: '' };
+}
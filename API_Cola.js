@@ -0,0 +1,155 @@
+/**
+ * Archivo: API_Cola.js
+ * Propósito: Lectura por lotes de la hoja oculta Queue_STATE y persistencia de sus cambios en puntos de control,
+ * para reemplazar las lecturas y borrados fila por fila que dominaban el tiempo de ejecución.
+ */
+
+// true mientras esta ejecución sostiene el bloqueo de la cola (ver "ejecutarConBloqueoCola")
+let bloqueoColaTomado = false;
+
+/**
+ * Ejecuta una operación que crea, borra o agrega filas a la cola con el bloqueo del script tomado, para que nunca se
+ * cruce con un tramo del worker ni con otra opción del menú. Si esta misma ejecución ya lo sostiene (ej. el worker
+ * limpiando el estado al terminar) la operación corre directamente, sin volver a pedirlo ni soltarlo.
+ * @param {Function} operacion - Función sin parámetros.
+ * @param {number} [esperaMS] - Cuánto esperar el bloqueo; por defecto ESPERA_BLOQUEO_COLA_MS.
+ * @return {boolean} true si la operación se ejecutó; false si otra ejecución tenía el bloqueo.
+ */
+function ejecutarConBloqueoCola(operacion, esperaMS) {
+    if (bloqueoColaTomado) {
+        operacion();
+        return true;
+    }
+    const bloqueo = LockService.getScriptLock();
+    if (!bloqueo.tryLock(esperaMS === undefined ? ESPERA_BLOQUEO_COLA_MS : esperaMS)) {
+        return false;
+    }
+    bloqueoColaTomado = true;
+    try {
+        operacion();
+    } finally {
+        bloqueoColaTomado = false;
+        bloqueo.releaseLock();
+    }
+    return true;
+}
+
+/**
+ * Crea el estado en memoria de los movimientos de la cola aún no persistidos.
+ * @return {Object} { filasCompletadas: number, filasNuevas: Array } donde filasCompletadas son las primeras filas
+ * de la cola ya procesadas y filasNuevas las carpetas descubiertas pendientes de encolar.
+ */
+function crearEstadoCola() {
+    return { filasCompletadas: 0, filasNuevas: [] };
+}
+
+/**
+ * Serializa una carpeta del recorrido con el formato de fila de la cola (columnas "A" - "H"), para encolarla.
+ * Toda fila de la cola se arma aquí, para que sus celdas JSON respeten el límite de Sheets (ver "serializarCeldaCola").
+ * @param {Object} entidad - { idNode, rutaArmada, urlVisita, permisosCarpeta, banderaRaiz, trackerPaginacion, tokenPagina, profundidad }.
+ * @return {Array} Fila lista para agregar a la hoja de cola.
+ */
+function construirFilaCola(entidad) {
+    const idCarpeta = obtenerCarpetaArchivosCola(entidad.trackerPaginacion);
+    return [
+        entidad.idNode,
+        entidad.rutaArmada,
+        entidad.urlVisita,
+        serializarCeldaCola(entidad.permisosCarpeta, idCarpeta, `Cola - Permisos - ${entidad.idNode}.json`),
+        entidad.banderaRaiz,
+        serializarCeldaCola(entidad.trackerPaginacion, idCarpeta, `Cola - Estado - ${entidad.idNode}.json`),
+        entidad.tokenPagina || '',
+        entidad.profundidad
+    ];
+}
+
+/**
+ * Serializa un valor para una celda JSON de la cola o de la hoja de errores. Si no cabe en la celda (por ejemplo, la
+ * caché de permisos de una carpeta muy compartida o el tracker de un reintento, que lleva el elemento completo), se
+ * guarda aparte como los conjuntos grandes del reporte (ver "guardarCeldaEnArchivo").
+ * @param {*} valor - Valor a serializar.
+ * @param {string|null} idCarpeta - Carpeta de auditoría donde guardar el archivo si hace falta.
+ * @param {string} nombreArchivo - Nombre del archivo si hay que crearlo.
+ * @return {string} El JSON o la referencia a su archivo.
+ */
+function serializarCeldaCola(valor, idCarpeta, nombreArchivo) {
+    const texto = JSON.stringify(valor);
+    return texto.length > LIMITE_CARACTERES_CELDA ? guardarCeldaEnArchivo(texto, idCarpeta, nombreArchivo) : texto; // API_SalidaDrive.js
+}
+
+/**
+ * Lee una celda escrita por "serializarCeldaCola", resolviendo la referencia a archivo si la hay.
+ * @param {*} celda - Contenido de la celda.
+ * @param {string} [respaldo] - JSON a usar si la celda está vacía; sin él, una celda vacía es un error.
+ * @return {*} El valor deserializado.
+ * @throws {SyntaxError} Si el contenido no es JSON válido.
+ */
+function leerCeldaCola(celda, respaldo) {
+    return JSON.parse(resolverCeldaConjunto(celda) || respaldo); // API_SalidaDrive.js
+}
+
+/**
+ * Carpeta de auditoría a la que pertenece una fila de la cola, según su tracker: la de la rama en un recorrido,
+ * la ya creada en una raíz pendiente o la de la corrida anterior en las etapas incrementales.
+ * @param {Object} tracker - Tracker de la fila.
+ * @return {string|null} ID de la carpeta, o null si aún no existe.
+ */
+function obtenerCarpetaArchivosCola(tracker) {
+    if (!tracker) {
+        return null;
+    }
+    return tracker.idCarpetaRaiz || tracker.idCarpetaMaestra || (tracker.rama && tracker.rama.idCarpetaRaiz) || null;
+}
+
+/**
+ * Lee de una sola vez las primeras filas pendientes de la cola (sin la cabecera).
+ * @param {Sheet} hojaDeCola - Hoja oculta de cola (NOMBRE_HOJA_COLA).
+ * @param {number} tamanoLote - Máximo de filas a leer.
+ * @return {Array} Filas con el formato de la cola; vacío si ya no quedan pendientes.
+ */
+function leerLoteCola(hojaDeCola, tamanoLote) {
+    const filasPendientes = hojaDeCola.getLastRow() - 1;
+    if (filasPendientes <= 0) {
+        return [];
+    }
+    const cantidad = Math.min(filasPendientes, tamanoLote);
+    return hojaDeCola.getRange(2, 1, cantidad, hojaDeCola.getLastColumn()).getValues();
+}
+
+/**
+ * Persiste en la hoja todo lo acumulado desde el punto de control anterior. El orden protege contra
+ * pérdidas si la ejecución muere a mitad: primero los hallazgos, luego las carpetas nuevas, luego el progreso
+ * de la carpeta en curso y por último el borrado de las filas terminadas. Una interrupción solo puede
+ * provocar que se repita el trabajo hecho desde el último punto de control, nunca que se pierda; los hallazgos que
+ * ese trabajo vuelva a escribir se descartan al leer los libros (ver "crearDetectorFilasRepetidas"). Por lo mismo, si
+ * los hallazgos no se pudieron escribir, la cola queda intacta y el error se propaga para detener el tramo.
+ * @param {Sheet} hojaDeCola - Hoja oculta de cola.
+ * @param {Object} estadoCola - Estado creado por "crearEstadoCola"; se reinicia al terminar.
+ * @param {Object} buferHallazgos - Búfer creado por "crearBuferHallazgos" (API_SalidaDrive.js).
+ * @param {Object|null} entidadEnCurso - Carpeta a medio recorrer ({ trackerPaginacion, tokenPagina }) o null.
+ * @throws {Error} El de "vaciarBuferHallazgos", antes de tocar la cola.
+ */
+function guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, entidadEnCurso) {
+    vaciarBuferHallazgos(buferHallazgos);
+
+    if (estadoCola.filasNuevas.length > 0) {
+        hojaDeCola.getRange(hojaDeCola.getLastRow() + 1, 1, estadoCola.filasNuevas.length, estadoCola.filasNuevas[0].length)
+            .setValues(estadoCola.filasNuevas);
+    }
+
+    // La fila en curso está justo debajo de las terminadas que aún no se han borrado (columnas 6-7: libro y token)
+    if (entidadEnCurso) {
+        hojaDeCola.getRange(2 + estadoCola.filasCompletadas, 6, 1, 2)
+            .setValues([[
+                serializarCeldaCola(entidadEnCurso.trackerPaginacion, obtenerCarpetaArchivosCola(entidadEnCurso.trackerPaginacion), `Cola - Estado - ${entidadEnCurso.idNode}.json`),
+                entidadEnCurso.tokenPagina || ''
+            ]]);
+    }
+
+    if (estadoCola.filasCompletadas > 0) {
+        hojaDeCola.deleteRows(2, estadoCola.filasCompletadas);
+    }
+
+    estadoCola.filasCompletadas = 0;
+    estadoCola.filasNuevas = [];
+}
@@ -0,0 +1,98 @@
+/**
+ * Archivo: API_Comparacion.js
+ * Propósito: Calcula el delta entre los hallazgos de dos corridas de auditoría de la misma unidad,
+ * emparejando los elementos por su ID de Drive (no por la ruta, que cambia al renombrar o mover).
+ */
+
+/**
+ * Agrupa una lista de hallazgos por su ID de elemento, descartando filas sin ID (errores de lectura, corridas antiguas).
+ * @param {Array} hallazgos - Resultado de "leerHallazgosDeCarpeta".
+ * @return {Object} Mapa idElemento -> hallazgo.
+ */
+function indexarHallazgosPorId(hallazgos) {
+    const indice = {};
+    hallazgos.forEach(hallazgo => {
+        if (hallazgo.idElemento) {
+            indice[hallazgo.idElemento] = hallazgo;
+        }
+    });
+    return indice;
+}
+
+/**
+ * Lee el conjunto de permisos guardado en un hallazgo, o un conjunto vacío si la fila no lo trae.
+ * @param {Object} hallazgo - Hallazgo leído de un libro de reporte.
+ * @return {Object} Conjunto `{ permisos: [] }` compatible con "obtenerNivelAccesoUsuario".
+ */
+function leerConjuntoDeHallazgo(hallazgo) {
+    try {
+        return JSON.parse(hallazgo.permisosElementoJSON || '{"permisos":[]}');
+    } catch (e) {
+        return { permisos: [] };
+    }
+}
+
+/**
+ * Compara los hallazgos de dos corridas y arma las filas del reporte delta:
+ * exposiciones nuevas, exposiciones eliminadas y, para los elementos presentes en ambas, los cambios de rol por principal.
+ * @param {Array} hallazgosAnteriores - Hallazgos de la corrida más antigua.
+ * @param {Array} hallazgosActuales - Hallazgos de la corrida más reciente.
+ * @return {Object} { filas: Array (según CABECERAS_COMPARACION), nuevas: number, eliminadas: number, modificadas: number }.
+ */
+function compararHallazgosCorridas(hallazgosAnteriores, hallazgosActuales) {
+    const indiceAnterior = indexarHallazgosPorId(hallazgosAnteriores);
+    const indiceActual = indexarHallazgosPorId(hallazgosActuales);
+    const resultado = { filas: [], nuevas: 0, eliminadas: 0, modificadas: 0 };
+    const etiquetaRol = rol => (rol ? (ETIQUETAS_ROLES_DRIVE[rol] || rol) : 'Sin acceso');
+
+    // 1. Exposiciones nuevas y elementos presentes en ambas corridas
+    Object.keys(indiceActual).forEach(idElemento => {
+        const actual = indiceActual[idElemento];
+        const anterior = indiceAnterior[idElemento];
+
+        if (!anterior) {
+            resultado.nuevas += 1;
+            resultado.filas.push(['Nueva exposición', idElemento, actual.ruta, actual.usuarios, '', '', actual.tipoRiesgo, actual.severidad]);
+            return;
+        }
+
+        const conjuntoAnterior = leerConjuntoDeHallazgo(anterior);
+        const conjuntoActual = leerConjuntoDeHallazgo(actual);
+        const claves = new Set([
+            ...conjuntoAnterior.permisos.map(permiso => permiso.clave),
+            ...conjuntoActual.permisos.map(permiso => permiso.clave)
+        ]);
+
+        let elementoModificado = false;
+        claves.forEach(clave => {
+            const permisoAnterior = obtenerNivelAccesoUsuario(clave, conjuntoAnterior); // API_Permisos.js
+            const permisoActual = obtenerNivelAccesoUsuario(clave, conjuntoActual);
+            const rolAnterior = permisoAnterior ? permisoAnterior.rol : '';
+            const rolActual = permisoActual ? permisoActual.rol : '';
+            if (rolAnterior === rolActual) {
+                return;
+            }
+
+            elementoModificado = true;
+            const cambio = !rolAnterior ? 'Acceso agregado' : (!rolActual ? 'Acceso retirado' : 'Rol cambiado');
+            const principal = describirPermiso(permisoActual || permisoAnterior);
+            resultado.filas.push([cambio, idElemento, actual.ruta, principal, etiquetaRol(rolAnterior), etiquetaRol(rolActual), actual.tipoRiesgo, actual.severidad]);
+        });
+
+        if (elementoModificado) {
+            resultado.modificadas += 1;
+        }
+    });
+
+    // 2. Exposiciones que ya no aparecen en la corrida reciente
+    Object.keys(indiceAnterior).forEach(idElemento => {
+        if (indiceActual[idElemento]) {
+            return;
+        }
+        const anterior = indiceAnterior[idElemento];
+        resultado.eliminadas += 1;
+        resultado.filas.push(['Exposición eliminada', idElemento, anterior.ruta, anterior.usuarios, '', '', anterior.tipoRiesgo, anterior.severidad]);
+    });
+
+    return resultado;
+}
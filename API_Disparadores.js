@@ -0,0 +1,67 @@
+/**
+ * Archivo: API_Disparadores.js
+ * Propósito: Administra los disparadores de tiempo (ScriptApp) que permiten que la auditoría
+ * se reanude sola en segundo plano hasta vaciar la cola, sin intervención desde la hoja.
+ */
+
+/**
+ * Punto de entrada invocado por el disparador de tiempo. Ejecuta el worker sin interfaz gráfica.
+ * @param {Object} evento - Objeto de evento entregado por el disparador (no se utiliza).
+ */
+function reanudarAuditoriaDesatendida(evento) {
+    if (!modoDesatendidoActivo()) {
+        Logger.log('Disparador ejecutado con el modo desatendido apagado. Se eliminan disparadores huérfanos.');
+        eliminarDisparadoresReanudacion();
+        return;
+    }
+    continuarAuditoria({ desatendido: true });
+}
+
+/**
+ * Marca la auditoría en curso como desatendida y agenda su primera ejecución en segundo plano.
+ */
+function activarModoDesatendido() {
+    PropertiesService.getScriptProperties().setProperty(CLAVE_MODO_DESATENDIDO, 'true');
+    programarReanudacionAutomatica();
+}
+
+/**
+ * Apaga el modo desatendido y retira cualquier disparador pendiente del worker.
+ */
+function desactivarModoDesatendido() {
+    PropertiesService.getScriptProperties().deleteProperty(CLAVE_MODO_DESATENDIDO);
+    eliminarDisparadoresReanudacion();
+}
+
+/**
+ * Indica si la auditoría actual debe reanudarse sola al alcanzar el límite de tiempo.
+ * @return {boolean} true si el modo desatendido está encendido.
+ */
+function modoDesatendidoActivo() {
+    return PropertiesService.getScriptProperties().getProperty(CLAVE_MODO_DESATENDIDO) === 'true';
+}
+
+/**
+ * Agenda una única ejecución futura del worker. Elimina antes los disparadores previos
+ * para que nunca existan dos reanudaciones pendientes en paralelo.
+ * @param {number} [minutosAdicionales] - Minutos a sumar a la espera configurada (ej. la duración de un tramo completo,
+ * para la reanudación de respaldo que se agenda al empezar cada tramo).
+ */
+function programarReanudacionAutomatica(minutosAdicionales) {
+    const minutosEspera = obtenerAjuste('minutosEsperaReanudacion') + (minutosAdicionales || 0); // Cfg_Configuracion.js
+    eliminarDisparadoresReanudacion();
+    ScriptApp.newTrigger(FUNCION_REANUDACION_AUTOMATICA)
+        .timeBased()
+        .after(minutosEspera * 60 * 1000)
+        .create();
+    Logger.log(`Reanudación automática agendada en ${minutosEspera} minuto(s).`);
+}
+
+/**
+ * Borra todos los disparadores del proyecto que apuntan al worker desatendido.
+ */
+function eliminarDisparadoresReanudacion() {
+    ScriptApp.getProjectTriggers()
+        .filter(disparador => disparador.getHandlerFunction() === FUNCION_REANUDACION_AUTOMATICA)
+        .forEach(disparador => ScriptApp.deleteTrigger(disparador));
+}
@@ -0,0 +1,188 @@
+/**
+ * Archivo: API_Exportacion.js
+ * Propósito: Paso de finalización que vuelca los hallazgos de todas las particiones a archivos CSV y JSON
+ * por líneas (NDJSON) dentro de la carpeta de auditoría, con un manifiesto de metadatos de la corrida.
+ */
+
+/**
+ * Exporta los hallazgos de cada unidad del resumen a su propia carpeta de auditoría. Es reanudable por unidad:
+ * omite las ya exportadas en un tramo anterior y se detiene antes de la siguiente si se agotó el tiempo.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {Array<string>} unidadesExportadas - IDs de las unidades ya exportadas; se agregan las que se terminen ahora.
+ * @param {Function} quedaTiempo - Devuelve false cuando no se debe empezar otra unidad.
+ * @param {Function} alExportarUnidad - Se invoca tras cada unidad terminada (para persistir `unidadesExportadas`).
+ * @return {boolean} true si no quedaron unidades por exportar.
+ */
+function exportarHallazgosAuditoria(ss, unidadesExportadas, quedaTiempo, alExportarUnidad) {
+    const particiones = leerIndiceParticiones(ss); // API_SalidaDrive.js
+    const unidades = leerResumenUnidades(ss).filter(unidad => !String(unidad.estado).startsWith('Error') && unidad.idCarpetaMaestra);
+
+    for (let i = 0; i < unidades.length; i++) {
+        const unidad = unidades[i];
+        if (unidadesExportadas.indexOf(unidad.idUnidad) >= 0) {
+            continue;
+        }
+        if (!quedaTiempo()) {
+            return false;
+        }
+        try {
+            exportarHallazgosUnidad(unidad, particiones.filter(particion => particion.idUnidad === unidad.idUnidad));
+        } catch (error) {
+            Logger.log(`[Exportación] Falló la exportación de ${unidad.nombre} (${unidad.idUnidad}): ${error.message}`);
+        }
+        unidadesExportadas.push(unidad.idUnidad);
+        alExportarUnidad();
+    }
+    return true;
+}
+
+/**
+ * Envía a la papelera los archivos de una exportación anterior de la unidad (partes CSV/NDJSON y manifiesto),
+ * para que repetirla (un tramo cortado a mitad, o una auditoría incremental) no deje archivos duplicados.
+ * @param {Folder} carpetaAuditoria - Carpeta de auditoría de la unidad.
+ * @param {string} nombreBase - Nombre base de los archivos exportados (ej. "Hallazgos - Finanzas").
+ */
+function retirarExportacionPrevia(carpetaAuditoria, nombreBase) {
+    const archivos = carpetaAuditoria.getFiles();
+    while (archivos.hasNext()) {
+        const archivo = archivos.next();
+        const nombre = archivo.getName();
+        const esParte = nombre.indexOf(`${nombreBase} (Parte `) === 0 && /\.(csv|ndjson)$/.test(nombre);
+        if (esParte || nombre === NOMBRE_MANIFIESTO_EXPORTACION) {
+            archivo.setTrashed(true);
+        }
+    }
+}
+
+/**
+ * Escribe los archivos CSV/NDJSON de una unidad, partidos por tamaño, y su manifiesto, reemplazando los de una
+ * exportación anterior (ver "retirarExportacionPrevia"). Las filas repetidas entre particiones se exportan una vez.
+ * @param {Object} unidad - Fila del resumen ({ idUnidad, nombre, elementos, hallazgos, idCarpetaMaestra }).
+ * @param {Array} particiones - Particiones del índice que pertenecen a la unidad.
+ */
+function exportarHallazgosUnidad(unidad, particiones) {
+    const carpetaAuditoria = DriveApp.getFolderById(unidad.idCarpetaMaestra);
+    const nombreBase = `Hallazgos - ${unidad.nombre}`;
+    const archivos = [];
+    let cabeceras = null;
+    let filasExportadas = 0;
+    const esFilaRepetida = crearDetectorFilasRepetidas(); // API_SalidaDrive.js
+
+    retirarExportacionPrevia(carpetaAuditoria, nombreBase);
+    const escritorCsv = crearEscritorPartido(carpetaAuditoria, nombreBase, 'csv', 'text/csv', archivos);
+    const escritorJson = crearEscritorPartido(carpetaAuditoria, nombreBase, 'ndjson', 'application/x-ndjson', archivos);
+
+    particiones.forEach(particion => {
+        const valores = SpreadsheetApp.openById(particion.idLibro).getSheets()[0].getDataRange().getValues();
+        if (valores.length < 2) {
+            return;
+        }
+
+        // Todas las particiones de una corrida comparten formato; la primera define las cabeceras
+        if (!cabeceras) {
+            cabeceras = valores[0].map(valor => String(valor));
+            escritorCsv.fijarCabecera(cabeceras.map(escaparValorCsv).join(','));
+        }
+
+        valores.slice(1).filter(fila => !esFilaRepetida(fila)).forEach(fila => {
+            const valoresTexto = fila.map(serializarValorExportacion);
+            escritorCsv.escribir(valoresTexto.map(escaparValorCsv).join(','));
+
+            const registro = { rama: particion.rama, parte: particion.parte };
+            cabeceras.forEach((cabecera, indice) => {
+                registro[cabecera] = valoresTexto[indice];
+            });
+            escritorJson.escribir(JSON.stringify(registro));
+            filasExportadas += 1;
+        });
+    });
+
+    escritorCsv.cerrar();
+    escritorJson.cerrar();
+
+    const metadatosCarpeta = JSON.parse(carpetaAuditoria.getDescription() || '{}');
+    const manifiesto = {
+        versionEsquema: VERSION_ESQUEMA_EXPORTACION,
+        idUnidad: unidad.idUnidad,
+        nombreUnidad: unidad.nombre,
+        inicio: metadatosCarpeta.inicio || null,
+        fin: new Date().toISOString(),
+        elementosEscaneados: unidad.elementos,
+        hallazgos: unidad.hallazgos,
+        subcarpetasOmitidas: unidad.subcarpetasOmitidas,
+        archivosOmitidos: unidad.archivosOmitidos,
+        filasExportadas: filasExportadas,
+        cabeceras: cabeceras || [],
+        particionesOrigen: particiones.map(particion => ({ rama: particion.rama, parte: particion.parte, idLibro: particion.idLibro, filas: particion.filas })),
+        archivos: archivos
+    };
+    carpetaAuditoria.createFile(NOMBRE_MANIFIESTO_EXPORTACION, JSON.stringify(manifiesto, null, 2), 'application/json');
+}
+
+/**
+ * Crea un escritor de texto que acumula líneas y abre un archivo nuevo ("Parte N") cada vez que el contenido
+ * supera el ajuste "megabytesMaximosExportacion". En CSV la cabecera se repite al inicio de cada parte.
+ * @param {Folder} carpeta - Carpeta destino.
+ * @param {string} nombreBase - Nombre base de los archivos.
+ * @param {string} extension - Extensión sin punto ('csv' o 'ndjson').
+ * @param {string} tipoMime - Tipo MIME de los archivos.
+ * @param {Array} archivos - Lista donde se anotan { nombre, formato, filas, bytes, idArchivo } de cada archivo creado.
+ * @return {Object} { fijarCabecera(linea), escribir(linea), cerrar() }.
+ */
+function crearEscritorPartido(carpeta, nombreBase, extension, tipoMime, archivos) {
+    let cabecera = null;
+    let lineas = [];
+    let bytesAcumulados = 0;
+    let parte = 0;
+    const bytesMaximos = obtenerAjuste('megabytesMaximosExportacion') * 1024 * 1024; // Cfg_Configuracion.js
+
+    const volcar = () => {
+        if (lineas.length === 0) {
+            return;
+        }
+        parte += 1;
+        const contenido = (cabecera ? [cabecera] : []).concat(lineas).join('\n') + '\n';
+        const blob = Utilities.newBlob(contenido, tipoMime, `${nombreBase} (Parte ${parte}).${extension}`);
+        const archivo = carpeta.createFile(blob);
+        archivos.push({ nombre: archivo.getName(), formato: extension, filas: lineas.length, bytes: blob.getBytes().length, idArchivo: archivo.getId() });
+        lineas = [];
+        bytesAcumulados = 0;
+    };
+
+    return {
+        fijarCabecera: linea => {
+            cabecera = linea;
+        },
+        escribir: linea => {
+            // Estimación UTF-8 conservadora (hasta 2 bytes por carácter en textos latinos)
+            const bytesLinea = linea.length * 2 + 1;
+            if (bytesAcumulados + bytesLinea > bytesMaximos) {
+                volcar();
+            }
+            lineas.push(linea);
+            bytesAcumulados += bytesLinea;
+        },
+        cerrar: volcar
+    };
+}
+
+/**
+ * Convierte el valor de una celda a texto estable para exportar (fechas en ISO 8601).
+ * @param {*} valor - Valor devuelto por getValues().
+ * @return {string} Representación en texto.
+ */
+function serializarValorExportacion(valor) {
+    if (valor instanceof Date) {
+        return valor.toISOString();
+    }
+    return valor === null || valor === undefined ? '' : String(valor);
+}
+
+/**
+ * Escapa un valor para CSV (RFC 4180): comillas dobles si contiene coma, comillas o saltos de línea.
+ * @param {string} valor - Texto a escapar.
+ * @return {string} Valor listo para unir con comas.
+ */
+function escaparValorCsv(valor) {
+    return /[",\r\n]/.test(valor) ? `"${valor.replace(/"/g, '""')}"` : valor;
+}
@@ -0,0 +1,65 @@
+/**
+ * Archivo: API_Finalizacion.js
+ * Propósito: Cierre de la auditoría una vez vacía la cola (tablero y exportación) en pasos reanudables, para que
+ * un cierre largo no choque con el límite de ejecución: lo ya hecho queda anotado y el siguiente tramo sigue desde ahí.
+ */
+
+/**
+ * Lee los pasos del cierre ya hechos en tramos anteriores.
+ * @return {Object} { pasos: Array<string>, unidadesExportadas: Array<string> }.
+ */
+function leerEstadoFinalizacion() {
+    const estadoGuardado = PropertiesService.getScriptProperties().getProperty(CLAVE_FINALIZACION_AUDITORIA);
+    return Object.assign({ pasos: [], unidadesExportadas: [] }, estadoGuardado ? JSON.parse(estadoGuardado) : {});
+}
+
+/**
+ * Persiste el avance del cierre.
+ * @param {Object} estado - Estado leído con "leerEstadoFinalizacion".
+ */
+function guardarEstadoFinalizacion(estado) {
+    PropertiesService.getScriptProperties().setProperty(CLAVE_FINALIZACION_AUDITORIA, JSON.stringify(estado));
+}
+
+/**
+ * Descarta el avance del cierre (al terminarlo, o al iniciar o limpiar una auditoría).
+ */
+function descartarEstadoFinalizacion() {
+    PropertiesService.getScriptProperties().deleteProperty(CLAVE_FINALIZACION_AUDITORIA);
+}
+
+/**
+ * Ejecuta los pasos pendientes del cierre: el tablero y la exportación de cada unidad. Antes de cada paso (y de cada
+ * unidad exportada) se consulta el tiempo; un paso cortado por el límite duro se repite entero en el siguiente tramo.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {Function} quedaTiempo - Devuelve false cuando no se debe empezar otro paso.
+ * @return {boolean} true si el cierre quedó completo; false si se pausó con pasos pendientes.
+ */
+function ejecutarFinalizacionAuditoria(ss, quedaTiempo) {
+    const estado = leerEstadoFinalizacion();
+    const pasos = [
+        ['TABLERO', () => {
+            try {
+                construirTableroAuditoria(ss); // API_Tablero.js
+            } catch (errorTablero) {
+                Logger.log(`No se pudo construir el tablero final: ${errorTablero.message}`);
+            }
+            return true;
+        }],
+        // CSV + NDJSON + manifiesto en cada carpeta de auditoría
+        ['EXPORTACION', () => exportarHallazgosAuditoria(ss, estado.unidadesExportadas, quedaTiempo, () => guardarEstadoFinalizacion(estado))] // API_Exportacion.js
+    ];
+
+    for (let i = 0; i < pasos.length; i++) {
+        const [nombrePaso, ejecutarPaso] = pasos[i];
+        if (estado.pasos.indexOf(nombrePaso) >= 0) {
+            continue;
+        }
+        if (!quedaTiempo() || !ejecutarPaso()) {
+            return false;
+        }
+        estado.pasos.push(nombrePaso);
+        guardarEstadoFinalizacion(estado);
+    }
+    return true;
+}
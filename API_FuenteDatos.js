@@ -0,0 +1,212 @@
+/**
+ * Archivo: API_FuenteDatos.js
+ * Propósito: Capa de origen de datos del rastreo. El mismo motor de auditoría puede leer Drive en vivo
+ * o una instantánea JSON guardada (árbol de elementos con sus permisos), y esta capa permite capturarla.
+ */
+
+// Fuentes ya abiertas en esta ejecución (leer y parsear una instantánea es costoso)
+const fuentesDatosEnCache = {};
+
+/**
+ * Devuelve la fuente de datos descrita en el tracker de una corrida.
+ * @param {Object} [descriptorFuente] - { tipo: 'DRIVE' } o { tipo: 'INSTANTANEA', idArchivo }. Sin valor (corridas
+ * anteriores a esta opción) se usa Drive en vivo.
+ * @return {Object} { descriptor, metadatos, resolverRaiz(id), listarPermisos(id, usarAccesoAdministrador), leerAjustes(id),
+ * leerElemento(id), leerElementoRastreo(id), listarPaginaHijos(idCarpeta, token, idDrive) }.
+ */
+function obtenerFuenteDatos(descriptorFuente) {
+    const descriptor = descriptorFuente || { tipo: 'DRIVE' };
+    const claveCache = descriptor.tipo === 'INSTANTANEA' ? descriptor.idArchivo : 'DRIVE';
+    if (!fuentesDatosEnCache[claveCache]) {
+        fuentesDatosEnCache[claveCache] = descriptor.tipo === 'INSTANTANEA' ? crearFuenteInstantanea(descriptor.idArchivo) : crearFuenteDrive();
+    }
+    return fuentesDatosEnCache[claveCache];
+}
+
+/**
+ * Fuente en vivo: delega en Drive API (API_Permisos.js y API_Rastreo.js). Cada lectura se reintenta con espera
+ * exponencial ante errores transitorios (API_Reintentos.js).
+ * @return {Object} Fuente de datos (ver "obtenerFuenteDatos").
+ */
+function crearFuenteDrive() {
+    const conReintentos = (lectura, descripcion) => (...argumentos) => ejecutarConReintentos(() => lectura(...argumentos), `${descripcion} ${argumentos[0]}`);
+    return {
+        descriptor: { tipo: 'DRIVE' },
+        metadatos: {},
+        resolverRaiz: conReintentos(idRaiz => Object.assign(resolverTipoRaiz(idRaiz), { url: DriveApp.getFolderById(idRaiz).getUrl() }), 'resolver raíz'),
+        listarPermisos: conReintentos(listarPermisosDrive, 'listar permisos de'),
+        leerAjustes: conReintentos(leerAjustesUsoCompartidoDrive, 'leer ajustes de'), // API_UsoCompartido.js
+        leerElemento: conReintentos(leerElementoAccesoDirectoDrive, 'leer elemento'), // API_AccesosDirectos.js
+        leerElementoRastreo: conReintentos(leerElementoRastreoDrive, 'releer elemento'),
+        listarPaginaHijos: conReintentos(listarPaginaHijosCarpeta, 'listar hijos de')
+    };
+}
+
+/**
+ * Fuente fuera de línea: sirve el árbol y los permisos guardados en una instantánea JSON, con el mismo
+ * formato de página que "listarPaginaHijosCarpeta" para que el rastreo no distinga el origen.
+ * @param {string} idArchivo - ID del archivo JSON creado por "capturarInstantaneaDrive".
+ * @return {Object} Fuente de datos (ver "obtenerFuenteDatos") con además `idRaiz`, la raíz capturada.
+ * @throws {Error} Si el archivo no es una instantánea válida.
+ */
+function crearFuenteInstantanea(idArchivo) {
+    const instantanea = JSON.parse(DriveApp.getFileById(idArchivo).getBlob().getDataAsString());
+    if (!instantanea.raiz || !instantanea.elementos) {
+        throw new Error('El archivo no tiene el formato de instantánea esperado (faltan "raiz" o "elementos").');
+    }
+
+    // Índice carpeta -> hijos, en el orden en que se capturaron
+    const hijosPorCarpeta = {};
+    Object.keys(instantanea.elementos).forEach(idElemento => {
+        (instantanea.elementos[idElemento].parents || []).forEach(idPadre => {
+            hijosPorCarpeta[idPadre] = hijosPorCarpeta[idPadre] || [];
+            hijosPorCarpeta[idPadre].push(idElemento);
+        });
+    });
+
+    // Los destinos de accesos directos se guardan aparte (sin "parents" en el árbol) y con sus permisos siempre leídos
+    const destinos = instantanea.destinos || {};
+    const buscarElemento = idElemento => {
+        const enArbol = instantanea.elementos[idElemento];
+        const elemento = enArbol && enArbol.permissions ? enArbol : (destinos[idElemento] || enArbol);
+        if (!elemento) {
+            throw new Error(`El elemento ${idElemento} no existe en la instantánea.`);
+        }
+        return elemento;
+    };
+
+    return {
+        descriptor: { tipo: 'INSTANTANEA', idArchivo: idArchivo },
+        idRaiz: instantanea.raiz.id,
+        metadatos: { fuente: 'INSTANTANEA', idInstantanea: idArchivo, capturada: instantanea.capturada, completa: instantanea.completa !== false },
+        resolverRaiz: idRaiz => {
+            const elemento = buscarElemento(idRaiz);
+            if (elemento.mimeType !== MimeType.FOLDER) {
+                throw new Error(`El ID corresponde a un archivo (${elemento.mimeType}), no a una carpeta ni a una Unidad Compartida.`);
+            }
+            let tipoRaiz = elemento.driveId ? 'SUBCARPETA_UNIDAD' : 'MI_UNIDAD';
+            if (idRaiz === instantanea.raiz.id) {
+                tipoRaiz = instantanea.raiz.tipoRaiz;
+            }
+            return {
+                tipoRaiz: tipoRaiz,
+                nombre: elemento.name,
+                propietarios: (elemento.owners || []).map(propietario => ({ correo: propietario.emailAddress, nombre: propietario.displayName })),
+                url: elemento.webViewLink
+            };
+        },
+        listarPermisos: idElemento => {
+            const elemento = buscarElemento(idElemento);
+            if (!elemento.permissions) {
+                throw new Error(`La instantánea no incluye los permisos de "${elemento.name}" (${idElemento}).`);
+            }
+            return elemento.permissions;
+        },
+        leerAjustes: idElemento => extraerAjustesUsoCompartido(buscarElemento(idElemento)), // API_UsoCompartido.js
+        leerElemento: buscarElemento,
+        leerElementoRastreo: buscarElemento,
+        listarPaginaHijos: (idCarpeta, tokenPagina) => {
+            const hijos = hijosPorCarpeta[idCarpeta] || [];
+            const inicio = Number(tokenPagina) || 0;
+            const fin = inicio + TAMANO_PAGINA_RASTREO;
+            return {
+                elementos: hijos.slice(inicio, fin).map(idHijo => instantanea.elementos[idHijo]),
+                tokenSiguiente: fin < hijos.length ? String(fin) : null
+            };
+        }
+    };
+}
+
+/**
+ * Recorre en anchura una Unidad Compartida o carpeta en vivo y guarda su árbol con los permisos crudos de cada
+ * elemento en un archivo JSON. Los hijos de Unidades Compartidas sin accesos propios se guardan sin permisos
+ * (hasAugmentedPermissions = false), igual que en el listado, y heredan los de su carpeta al auditarlos.
+ * Los destinos de los accesos directos se resuelven y se guardan con sus permisos en `destinos`, para poder auditarlos
+ * fuera de línea aunque vivan fuera de la raíz capturada.
+ * Si el tiempo de ejecución se agota, la instantánea se guarda marcada como incompleta.
+ * @param {string} idRaiz - ID de la unidad o carpeta a capturar.
+ * @param {number} tiempoEmpezadoMS - Marca de inicio de la ejecución.
+ * @return {Object} { idArchivo, url, elementos: number, completa: boolean, carpetasPendientes: number }.
+ */
+function capturarInstantaneaDrive(idRaiz, tiempoEmpezadoMS) {
+    const tiempoMaximoMS = obtenerAjuste('minutosMaximosEjecucion') * 60 * 1000; // Cfg_Configuracion.js
+    const infoRaiz = resolverTipoRaiz(idRaiz); // API_Permisos.js
+    const infoArchivoRaiz = Drive.Files.get(idRaiz, {
+        supportsAllDrives: true,
+        fields: 'id, webViewLink, driveId, inheritedPermissionsDisabled, copyRequiresWriterPermission, owners(emailAddress, displayName)'
+    });
+
+    const elementos = {};
+    elementos[idRaiz] = {
+        id: idRaiz,
+        name: infoRaiz.nombre,
+        mimeType: MimeType.FOLDER,
+        webViewLink: infoArchivoRaiz.webViewLink,
+        driveId: infoArchivoRaiz.driveId || null,
+        owners: infoArchivoRaiz.owners || [],
+        inheritedPermissionsDisabled: infoArchivoRaiz.inheritedPermissionsDisabled === true,
+        copyRequiresWriterPermission: infoArchivoRaiz.copyRequiresWriterPermission === true,
+        restrictions: infoArchivoRaiz.driveId ? leerRestriccionesUnidad(infoArchivoRaiz.driveId) : null, // API_UsoCompartido.js
+        parents: [],
+        permissions: listarPermisosDrive(idRaiz, infoRaiz.tipoRaiz === 'UNIDAD')
+    };
+
+    const destinos = {};
+    const fuenteDrive = obtenerFuenteDatos();
+    const carpetasPendientes = [idRaiz];
+    while (carpetasPendientes.length > 0 && new Date().getTime() - tiempoEmpezadoMS <= tiempoMaximoMS) {
+        const idCarpeta = carpetasPendientes.shift();
+        let tokenPagina = null;
+        do {
+            const pagina = listarPaginaHijosCarpeta(idCarpeta, tokenPagina, infoRaiz.idDrive); // API_Rastreo.js
+            pagina.elementos.forEach(hijo => {
+                const elemento = Object.assign({}, hijo, { parents: [idCarpeta] });
+                if (!elemento.permissions && !(elemento.driveId && elemento.hasAugmentedPermissions === false)) {
+                    try {
+                        elemento.permissions = listarPermisosDrive(hijo.id, false);
+                    } catch (error) {
+                        Logger.log(`[Instantánea] Sin permisos legibles para ${hijo.name} (${hijo.id}): ${error.message}`);
+                    }
+                }
+                elementos[hijo.id] = elemento;
+                if (hijo.mimeType === MimeType.SHORTCUT) {
+                    resolverDestinoAccesoDirecto(hijo, fuenteDrive).cadena.forEach(eslabon => { // API_AccesosDirectos.js
+                        if (destinos[eslabon.id]) {
+                            return;
+                        }
+                        destinos[eslabon.id] = Object.assign({}, eslabon);
+                        try {
+                            destinos[eslabon.id].permissions = listarPermisosDrive(eslabon.id, false);
+                        } catch (error) {
+                            Logger.log(`[Instantánea] Sin permisos legibles para el destino ${eslabon.name} (${eslabon.id}): ${error.message}`);
+                        }
+                    });
+                }
+                if (hijo.mimeType === MimeType.FOLDER) {
+                    carpetasPendientes.push(hijo.id);
+                }
+            });
+            tokenPagina = pagina.tokenSiguiente;
+        } while (tokenPagina);
+    }
+
+    const capturada = new Date();
+    const instantanea = {
+        version: VERSION_ESQUEMA_INSTANTANEA,
+        capturada: capturada.toISOString(),
+        completa: carpetasPendientes.length === 0,
+        raiz: { id: idRaiz, tipoRaiz: infoRaiz.tipoRaiz, nombre: infoRaiz.nombre },
+        elementos: elementos,
+        destinos: destinos
+    };
+
+    const fechaStr = Utilities.formatDate(capturada, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+    const archivo = DriveApp.createFile(`${PREFIJO_ARCHIVO_INSTANTANEA} ${infoRaiz.nombre} - ${fechaStr}.json`, JSON.stringify(instantanea), 'application/json');
+    return {
+        idArchivo: archivo.getId(),
+        url: archivo.getUrl(),
+        elementos: Object.keys(elementos).length,
+        completa: instantanea.completa,
+        carpetasPendientes: carpetasPendientes.length
+    };
+}
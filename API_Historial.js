@@ -0,0 +1,151 @@
+/**
+ * Archivo: API_Historial.js
+ * Propósito: Registro persistente de la auditoría en el libro activo: una fila por tramo y unidad en el historial
+ * de ejecuciones, y una fila por elemento fallido en la hoja de errores con lo necesario para reencolarlo.
+ */
+
+/**
+ * Genera el identificador de un tramo de ejecución a partir de su hora de inicio.
+ * @param {number} tiempoEmpezadoMS - Inicio del tramo en milisegundos.
+ * @return {string} Identificador legible (ej. "20250314-093012").
+ */
+function generarIdEjecucion(tiempoEmpezadoMS) {
+    return Utilities.formatDate(new Date(tiempoEmpezadoMS), Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss');
+}
+
+/**
+ * Devuelve una hoja de registro del libro activo, creándola con sus cabeceras si no existe.
+ * Si la hoja viene de una versión con menos columnas, se completa su fila de cabeceras.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {string} nombreHoja - Nombre de la hoja.
+ * @param {Array<string>} cabeceras - Cabeceras a escribir al crearla.
+ * @return {Sheet} La hoja de registro.
+ */
+function obtenerHojaRegistro(ss, nombreHoja, cabeceras) {
+    let hoja = ss.getSheetByName(nombreHoja);
+    if (!hoja) {
+        hoja = ss.insertSheet(nombreHoja);
+        hoja.appendRow(cabeceras);
+        hoja.setFrozenRows(1);
+        hoja.getRange(1, 1, 1, cabeceras.length).setFontWeight('bold');
+    } else if (hoja.getLastColumn() < cabeceras.length) {
+        hoja.getRange(1, 1, 1, cabeceras.length).setValues([cabeceras]).setFontWeight('bold');
+    }
+    return hoja;
+}
+
+/**
+ * Construye la fila de la hoja de errores para un elemento que no se pudo auditar.
+ * @param {string} idEjecucion - Tramo en el que ocurrió (ver "generarIdEjecucion").
+ * @param {Object} fallo - { idUnidad, idElemento, ruta, operacion, error, reencolado } donde `error` es el Error
+ * capturado (con `intentos` y `transitorio` si pasó por "ejecutarConReintentos") y `reencolado` lo que necesita
+ * "reintentarErrores" para volver a procesarlo: { tipo: 'FILA_COLA', fila } o { tipo: 'RAIZ', idUnidad, descriptorFuente }.
+ * Sin `reencolado` el error queda registrado pero no se puede reintentar. Si no cabe en su celda se guarda en un archivo
+ * de Mi unidad (ver "serializarCeldaCola").
+ * @return {Array} Fila con el formato de CABECERAS_ERRORES.
+ */
+function construirFilaError(idEjecucion, fallo) {
+    const error = fallo.error || {};
+    return [
+        new Date(),
+        idEjecucion,
+        fallo.idUnidad || '',
+        fallo.idElemento || '',
+        fallo.ruta || '',
+        fallo.operacion,
+        error.message || String(error),
+        error.transitorio ? 'Sí' : 'No',
+        error.intentos || 1,
+        fallo.reencolado ? 'Pendiente' : 'No reintentable',
+        fallo.reencolado ? serializarCeldaCola(fallo.reencolado, null, `Error - Reencolado - ${fallo.idElemento || fallo.idUnidad}.json`) : '' // API_Cola.js
+    ];
+}
+
+/**
+ * Agrega filas a la hoja de errores (NOMBRE_HOJA_ERRORES) con un único setValues.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {Array<Array>} filasError - Filas creadas por "construirFilaError".
+ */
+function registrarErroresAuditoria(ss, filasError) {
+    if (filasError.length === 0) {
+        return;
+    }
+    const hojaErrores = obtenerHojaRegistro(ss, NOMBRE_HOJA_ERRORES, CABECERAS_ERRORES);
+    hojaErrores.getRange(hojaErrores.getLastRow() + 1, 1, filasError.length, CABECERAS_ERRORES.length).setValues(filasError);
+}
+
+/**
+ * Lee los errores reintentables que siguen pendientes.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Array} Lista de { numeroFila, idUnidad, ruta, reencolado }.
+ */
+function leerErroresPendientes(ss) {
+    const hojaErrores = ss.getSheetByName(NOMBRE_HOJA_ERRORES);
+    if (!hojaErrores || hojaErrores.getLastRow() < 2) {
+        return [];
+    }
+    const pendientes = [];
+    hojaErrores.getRange(2, 1, hojaErrores.getLastRow() - 1, CABECERAS_ERRORES.length).getValues().forEach((fila, indice) => {
+        if (fila[9] !== 'Pendiente' || !fila[10]) {
+            return;
+        }
+        try {
+            pendientes.push({ numeroFila: indice + 2, idUnidad: fila[2], ruta: fila[4], reencolado: leerCeldaCola(fila[10]) }); // API_Cola.js
+        } catch (e) {
+            Logger.log(`[Errores] Fila ${indice + 2} con datos de reencolado ilegibles: ${e.message}`);
+        }
+    });
+    return pendientes;
+}
+
+/**
+ * Cambia el estado de filas de la hoja de errores (ej. 'Reencolado' o 'Descartado').
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {Array<number>} numerosFila - Filas de la hoja (1 = cabecera).
+ * @param {string} estado - Nuevo valor de la columna Estado.
+ */
+function marcarEstadoErrores(ss, numerosFila, estado) {
+    const hojaErrores = ss.getSheetByName(NOMBRE_HOJA_ERRORES);
+    if (!hojaErrores) {
+        return;
+    }
+    numerosFila.forEach(numeroFila => hojaErrores.getRange(numeroFila, 10).setValue(estado));
+}
+
+/**
+ * Descarta los errores pendientes de auditorías anteriores: al iniciar una nueva, su cola y sus libros ya no existen.
+ * @param {Spreadsheet} ss - Libro activo.
+ */
+function descartarErroresPendientes(ss) {
+    marcarEstadoErrores(ss, leerErroresPendientes(ss).map(pendiente => pendiente.numeroFila), 'Descartado');
+}
+
+/**
+ * Agrega al historial (NOMBRE_HOJA_HISTORIAL) una fila por unidad trabajada en el tramo, o una sola fila sin unidad
+ * si el tramo no llegó a procesar elementos.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {string} idEjecucion - Identificador del tramo (ver "generarIdEjecucion").
+ * @param {number} tiempoEmpezadoMS - Inicio del tramo en milisegundos.
+ * @param {string} resultado - 'Pausa', 'Cancelada', 'Completada' o 'Fallida'.
+ * @param {Object} contadoresPorUnidad - Mapa idUnidad -> { elementos, hallazgos, errores, ... } del tramo.
+ * @param {string} [detalle] - Texto adicional (ej. el mensaje del error que detuvo un tramo fallido).
+ */
+function registrarEjecucionEnHistorial(ss, idEjecucion, tiempoEmpezadoMS, resultado, contadoresPorUnidad, detalle) {
+    const nombresPorUnidad = {};
+    leerResumenUnidades(ss).forEach(unidad => { // API_SalidaDrive.js
+        nombresPorUnidad[unidad.idUnidad] = unidad.nombre;
+    });
+
+    const inicio = new Date(tiempoEmpezadoMS);
+    const fin = new Date();
+    const idsUnidad = Object.keys(contadoresPorUnidad);
+    const filas = idsUnidad.length === 0
+        ? [[idEjecucion, inicio, fin, '', '', resultado, 0, 0, 0, detalle || '']]
+        : idsUnidad.map(idUnidad => {
+            const contadores = contadoresPorUnidad[idUnidad];
+            return [idEjecucion, inicio, fin, idUnidad, nombresPorUnidad[idUnidad] || '', resultado, contadores.elementos, contadores.hallazgos, contadores.errores, detalle || ''];
+        });
+
+    const hojaHistorial = obtenerHojaRegistro(ss, NOMBRE_HOJA_HISTORIAL, CABECERAS_HISTORIAL);
+    hojaHistorial.getRange(hojaHistorial.getLastRow() + 1, 1, filas.length, CABECERAS_HISTORIAL.length).setValues(filas);
+}
@@ -0,0 +1,481 @@
+/**
+ * Archivo: API_Incremental.js
+ * Propósito: Auditoría incremental con Drive.Changes. Cada auditoría completa en vivo deja por unidad un punto de partida
+ * (startPageToken); la siguiente corrida incremental lista solo lo cambiado desde entonces, encola los elementos cambiados
+ * para reevaluarlos contra su carpeta y quita de los libros de la auditoría anterior los hallazgos que quedaron obsoletos.
+ * Todo ocurre en el worker, por etapas que guardan su avance en la cola: lectura de cambios y depuración.
+ */
+
+// Carpetas ya ubicadas en esta ejecución (idCarpeta -> { name, parents }), compartidas entre páginas de cambios
+const carpetasUbicadasEnCache = {};
+
+/**
+ * Lee el punto de partida de cambios guardado para una unidad.
+ * @param {string} idUnidad - ID de la Unidad Compartida o carpeta auditada.
+ * @return {Object|null} { token, idDrive, idCarpetaMaestra, nombre, fecha, pendiente } o null si nunca se completó una auditoría en vivo.
+ */
+function leerPuntoCambios(idUnidad) {
+    const guardado = PropertiesService.getScriptProperties().getProperty(PREFIJO_CLAVE_PUNTO_CAMBIOS + idUnidad);
+    return guardado ? JSON.parse(guardado) : null;
+}
+
+/**
+ * Lista las unidades que ya tienen un punto de partida confirmado para la auditoría incremental.
+ * @return {Array} Lista de { idUnidad, token, idDrive, idCarpetaMaestra, nombre, fecha }.
+ */
+function listarPuntosCambios() {
+    const propiedades = PropertiesService.getScriptProperties().getProperties();
+    return Object.keys(propiedades)
+        .filter(clave => clave.indexOf(PREFIJO_CLAVE_PUNTO_CAMBIOS) === 0)
+        .map(clave => Object.assign({ idUnidad: clave.substring(PREFIJO_CLAVE_PUNTO_CAMBIOS.length) }, JSON.parse(propiedades[clave])))
+        .filter(punto => punto.token);
+}
+
+/**
+ * Deja pendiente el punto de partida de una corrida: se confirma al completarse (ver "confirmarPuntosCambios"), de modo
+ * que una auditoría interrumpida o descartada nunca reemplaza al último punto válido.
+ * @param {string} idUnidad - ID de la unidad.
+ * @param {Object} pendiente - { token, idDrive, idCarpetaMaestra, nombre }.
+ */
+function anotarPuntoCambiosPendiente(idUnidad, pendiente) {
+    const punto = leerPuntoCambios(idUnidad) || {};
+    punto.pendiente = pendiente;
+    PropertiesService.getScriptProperties().setProperty(PREFIJO_CLAVE_PUNTO_CAMBIOS + idUnidad, JSON.stringify(punto));
+}
+
+/**
+ * Pide a Drive el token de cambios actual de una Unidad Compartida (o de Mi unidad, sin idDrive).
+ * @param {string|null} idDrive - ID de la Unidad Compartida.
+ * @return {string} startPageToken.
+ */
+function obtenerTokenInicioCambios(idDrive) {
+    const parametros = { supportsAllDrives: true };
+    if (idDrive) {
+        parametros.driveId = idDrive;
+    }
+    return ejecutarConReintentos(() => Drive.Changes.getStartPageToken(parametros).startPageToken, `token de cambios de ${idDrive || 'Mi unidad'}`); // API_Reintentos.js
+}
+
+/**
+ * Al completarse la auditoría, convierte en definitivo el punto de partida pendiente de cada unidad terminada.
+ * @param {Spreadsheet} ss - Libro activo.
+ */
+function confirmarPuntosCambios(ss) {
+    leerResumenUnidades(ss).forEach(unidad => { // API_SalidaDrive.js
+        const punto = leerPuntoCambios(unidad.idUnidad);
+        if (!punto || !punto.pendiente || unidad.estado !== 'Completada') {
+            return;
+        }
+        const confirmado = Object.assign({}, punto.pendiente, { fecha: new Date().toISOString() });
+        PropertiesService.getScriptProperties().setProperty(PREFIJO_CLAVE_PUNTO_CAMBIOS + unidad.idUnidad, JSON.stringify(confirmado));
+        Logger.log(`[Incremental] Punto de partida confirmado para ${unidad.nombre}: ${confirmado.token}`);
+    });
+}
+
+
+/**
+ * Construye la fila de cola con la que empieza la corrida incremental de una unidad. Preparar la corrida no lee Drive:
+ * el worker lee los cambios por páginas y encola detrás los elementos a reevaluar y la depuración de la auditoría anterior
+ * (ver "procesarEtapaIncremental").
+ * @param {Object} punto - Punto de partida de la unidad (ver "listarPuntosCambios").
+ * @return {Array} Fila con el formato de la cola y `etapa: 'CAMBIOS'` en su tracker.
+ */
+function construirFilaCambiosPendientes(punto) {
+    // Libros de la corrida: todas sus filas a reevaluar escriben en ellos ("Reporte - Incremental <fecha> (Parte N)").
+    // Se abren al encolar la primera, para que cada fila no cree su propia "Parte 1".
+    const ramaIncremental = {
+        idSheet: null,
+        filaActual: 1,
+        ramaNombre: `Incremental ${generarIdEjecucion(new Date().getTime())}`, // API_Historial.js
+        parteActual: 0,
+        idCarpetaRaiz: punto.idCarpetaMaestra,
+        idUnidad: punto.idUnidad,
+        idDrive: punto.idDrive || null,
+        modoSalida: obtenerAjuste('modoSalidaReporte'), // Cfg_Configuracion.js
+        fuenteDatos: { tipo: 'DRIVE' }
+    };
+    return construirFilaCola({ // API_Cola.js
+        idNode: punto.idUnidad,
+        rutaArmada: punto.nombre,
+        urlVisita: `https://drive.google.com/drive/folders/${punto.idCarpetaMaestra}`,
+        permisosCarpeta: null,
+        banderaRaiz: false,
+        trackerPaginacion: {
+            etapa: 'CAMBIOS',
+            idUnidad: punto.idUnidad,
+            punto: { token: punto.token, idDrive: punto.idDrive, idCarpetaMaestra: punto.idCarpetaMaestra, nombre: punto.nombre, fecha: punto.fecha },
+            rama: ramaIncremental,
+            carpetasReevaluadas: [],
+            resumen: { cambios: 0, reevaluados: 0, quitados: 0, cambioDeUnidad: false }
+        },
+        tokenPagina: null, // Página de Drive.Changes por leer; vacío para empezar desde el punto de partida
+        profundidad: 0
+    });
+}
+
+/**
+ * Avanza dentro del tramo del worker una fila de etapa de la corrida incremental: la lectura de cambios ('CAMBIOS') o
+ * la depuración de una página de cambios ('DEPURAR'). Antes de cada paso se consulta el tiempo; el avance queda en el
+ * tracker y el token de la fila, que el worker graba en su punto de control.
+ * @param {Object} entidad - Fila en curso (ver "construirFilaCola").
+ * @param {Object} contexto - { estadoCola, buferHallazgos, hojaReporte, debeDetenerse(), guardarAvance(), alFallar(fallo) }
+ * donde alFallar recibe el detalle del error como "registrarErrorEnBufer".
+ * @return {boolean} true si la etapa terminó; false si se detuvo por tiempo o cancelación y la fila sigue pendiente.
+ */
+function procesarEtapaIncremental(entidad, contexto) {
+    return entidad.trackerPaginacion.etapa === 'CAMBIOS'
+        ? leerCambiosPorPaginas(entidad, contexto)
+        : depurarHallazgosObsoletos(entidad, contexto);
+}
+
+/**
+ * Lee una página de Drive.Changes.list de una unidad.
+ * @param {Object} punto - Punto de partida (ver "leerPuntoCambios").
+ * @param {string} tokenPagina - Token de la página a leer.
+ * @return {Object} Respuesta con `changes` y `nextPageToken`, o `newStartPageToken` en la última página.
+ */
+function leerPaginaCambios(punto, tokenPagina) {
+    const parametros = {
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: Boolean(punto.idDrive),
+        includeRemoved: true,
+        pageSize: TAMANO_PAGINA_CAMBIOS,
+        fields: 'nextPageToken, newStartPageToken, changes(changeType, fileId, removed, file(name, mimeType, parents, trashed))'
+    };
+    if (punto.idDrive) {
+        parametros.driveId = punto.idDrive;
+    }
+    return ejecutarConReintentos(() => Drive.Changes.list(tokenPagina, parametros), `cambios de ${punto.nombre}`); // API_Reintentos.js
+}
+
+/**
+ * Etapa 'CAMBIOS': lee los cambios de la unidad página a página y encola lo que provoca cada una. En la última página
+ * deja pendiente el nuevo punto de partida y anota el resumen en el reporte.
+ * @param {Object} entidad - Fila en curso; su tokenPagina es la próxima página de cambios.
+ * @param {Object} contexto - Ver "procesarEtapaIncremental".
+ * @return {boolean} true si se leyó la última página (o la lectura falló y quedó en la hoja de errores).
+ */
+function leerCambiosPorPaginas(entidad, contexto) {
+    const tracker = entidad.trackerPaginacion;
+    const punto = tracker.punto;
+    while (!contexto.debeDetenerse()) {
+        let respuesta;
+        try {
+            respuesta = leerPaginaCambios(punto, entidad.tokenPagina || punto.token);
+            encolarPaginaCambios(respuesta.changes || [], entidad, contexto);
+        } catch (error) {
+            // "Reintentar errores" retoma la lectura desde esta misma página; el punto de partida no avanza
+            contexto.alFallar({
+                idElemento: tracker.idUnidad,
+                ruta: entidad.rutaArmada,
+                operacion: 'Lectura de cambios',
+                error: error,
+                reencolado: { tipo: 'FILA_COLA', fila: construirFilaCola(entidad) } // API_Cola.js
+            });
+            contexto.hojaReporte.appendRow([entidad.rutaArmada, entidad.urlVisita, 'Cambios no leídos', `ERROR API Cambios: ${error.message}`]);
+            return true;
+        }
+
+        entidad.tokenPagina = respuesta.nextPageToken || null;
+        if (respuesta.newStartPageToken) {
+            // El nuevo punto de partida se confirma cuando la corrida se completa, igual que en una auditoría completa
+            anotarPuntoCambiosPendiente(tracker.idUnidad, { token: respuesta.newStartPageToken, idDrive: punto.idDrive, idCarpetaMaestra: punto.idCarpetaMaestra, nombre: punto.nombre });
+            const resumen = tracker.resumen;
+            contexto.hojaReporte.appendRow([entidad.rutaArmada, entidad.urlVisita, `Cambios desde ${punto.fecha}`, `${resumen.cambios} cambios: ${resumen.reevaluados} a reevaluar, ${resumen.quitados} eliminados o fuera de la raíz`]);
+            if (resumen.cambioDeUnidad) {
+                contexto.hojaReporte.appendRow([entidad.rutaArmada, '', 'Cambio en la Unidad', 'Cambiaron los miembros o las restricciones de la propia Unidad Compartida: solo una auditoría completa refleja su efecto en todo el árbol.']);
+            }
+            return true;
+        }
+        contexto.guardarAvance(); // La página ya encolada no se vuelve a leer si el tramo se corta
+    }
+    return false;
+}
+
+/**
+ * Ubica un elemento dentro de la raíz auditada subiendo por sus carpetas padre.
+ * @param {Object} archivo - Recurso `File` con `name` y `parents`.
+ * @param {string} idRaiz - ID de la raíz auditada.
+ * @param {string} nombreRaiz - Nombre de la raíz (primer tramo de las rutas del reporte).
+ * @param {Object} carpetasEnCache - Mapa idCarpeta -> { name, parents } compartido entre llamadas.
+ * @return {Object|null} { ruta, ancestros: Array<string> (de la carpeta padre hacia la raíz, sin incluirla) } o null si está fuera de la raíz.
+ */
+function ubicarElementoEnRaiz(archivo, idRaiz, nombreRaiz, carpetasEnCache) {
+    const tramos = [archivo.name];
+    const ancestros = [];
+    let idPadre = (archivo.parents || [])[0];
+
+    while (idPadre && idPadre !== idRaiz) {
+        if (ancestros.indexOf(idPadre) >= 0) {
+            return null;
+        }
+        if (!carpetasEnCache[idPadre]) {
+            const idConsulta = idPadre;
+            carpetasEnCache[idPadre] = ejecutarConReintentos(() => Drive.Files.get(idConsulta, { supportsAllDrives: true, fields: 'name, parents' }), `ubicar ${idConsulta}`); // API_Reintentos.js
+        }
+        ancestros.push(idPadre);
+        tramos.unshift(carpetasEnCache[idPadre].name);
+        idPadre = (carpetasEnCache[idPadre].parents || [])[0];
+    }
+
+    if (idPadre !== idRaiz) {
+        return null; // Llegó a la cima sin pasar por la raíz: fue movido fuera o nunca estuvo dentro
+    }
+    tramos.unshift(nombreRaiz);
+    return { ruta: tramos.join('/'), ancestros: ancestros };
+}
+
+/**
+ * Clasifica una página de cambios y encola lo que provoca: una fila por carpeta padre con los IDs a reevaluar (en tandas
+ * de MAXIMO_CAMBIOS_POR_FILA) y, detrás, una fila 'DEPURAR' con las filas previas que quedaron obsoletas. Las filas a
+ * reevaluar no llevan ni los elementos ni los permisos de su carpeta: el worker los lee al procesarlas, con su estado de entonces.
+ * @param {Array<Change>} cambios - Cambios de la página.
+ * @param {Object} entidad - Fila 'CAMBIOS' en curso; su tracker acumula el resumen y las carpetas ya encoladas.
+ * @param {Object} contexto - Ver "procesarEtapaIncremental".
+ */
+function encolarPaginaCambios(cambios, entidad, contexto) {
+    const tracker = entidad.trackerPaginacion;
+    const punto = tracker.punto;
+
+    // 1. Clasificar: elementos aún dentro de la raíz (a reevaluar) y elementos borrados o movidos fuera (solo se quitan)
+    const idsCambiados = [];
+    const idsConDescendencia = [];
+    const aReevaluar = {};
+    cambios.forEach(cambio => {
+        if (cambio.changeType === 'drive') {
+            tracker.resumen.cambioDeUnidad = true;
+            return;
+        }
+        // La raíz no la evalúa ningún padre: sus permisos se releen en la próxima auditoría completa
+        if (cambio.fileId === tracker.idUnidad || idsCambiados.indexOf(cambio.fileId) >= 0) {
+            return;
+        }
+        idsCambiados.push(cambio.fileId);
+        const archivo = cambio.file;
+        const ubicacion = !cambio.removed && archivo && !archivo.trashed ? ubicarElementoEnRaiz(archivo, tracker.idUnidad, punto.nombre, carpetasUbicadasEnCache) : null;
+        if (!ubicacion) {
+            idsConDescendencia.push(cambio.fileId);
+            return;
+        }
+        const esCarpeta = archivo.mimeType === MimeType.FOLDER;
+        if (esCarpeta) {
+            idsConDescendencia.push(cambio.fileId);
+        }
+        aReevaluar[cambio.fileId] = { esCarpeta: esCarpeta, ruta: ubicacion.ruta, ancestros: ubicacion.ancestros };
+    });
+
+    // 2. Lo que cuelga de otra carpeta reevaluada (en esta página o en una anterior) ya se reevalúa al recorrerla completa
+    const yaSeRecorre = idAncestro => (aReevaluar[idAncestro] && aReevaluar[idAncestro].esCarpeta) || tracker.carpetasReevaluadas.indexOf(idAncestro) >= 0;
+    const idsReevaluar = Object.keys(aReevaluar).filter(idElemento => !aReevaluar[idElemento].ancestros.some(yaSeRecorre));
+    const carpetasReevaluadas = idsReevaluar.filter(idElemento => aReevaluar[idElemento].esCarpeta);
+
+    // 3. Filas a reevaluar, agrupadas por carpeta padre y con los libros de la corrida
+    const rama = tracker.rama;
+    if (idsReevaluar.length > 0 && !rama.idSheet) {
+        abrirParticionReporte(rama, contexto.buferHallazgos.particionesNuevas); // API_SalidaDrive.js
+        rama.indicePrincipales = abrirLibroIndicePrincipales(rama, { parteActual: 0 }); // API_IndicePrincipales.js
+    }
+    const porPadre = {};
+    idsReevaluar.forEach(idElemento => {
+        const cambio = aReevaluar[idElemento];
+        const idPadre = cambio.ancestros[0] || tracker.idUnidad;
+        porPadre[idPadre] = porPadre[idPadre] || { ruta: cambio.ruta.substring(0, cambio.ruta.lastIndexOf('/')), profundidad: cambio.ancestros.length, ids: [] };
+        porPadre[idPadre].ids.push(idElemento);
+    });
+    Object.keys(porPadre).forEach(idPadre => {
+        const padre = porPadre[idPadre];
+        for (let inicio = 0; inicio < padre.ids.length; inicio += MAXIMO_CAMBIOS_POR_FILA) {
+            contexto.estadoCola.filasNuevas.push(construirFilaCola({ // API_Cola.js
+                idNode: idPadre,
+                rutaArmada: padre.ruta,
+                urlVisita: `https://drive.google.com/drive/folders/${idPadre}`,
+                permisosCarpeta: null, // Se leen al procesar la fila, igual que sus elementos (ver "releerElementosCambiados")
+                banderaRaiz: false, // Todo lo reevaluado se escribe en los libros de la corrida incremental
+                trackerPaginacion: Object.assign({}, rama, { elementosCambiados: padre.ids.slice(inicio, inicio + MAXIMO_CAMBIOS_POR_FILA) }),
+                tokenPagina: null,
+                profundidad: padre.profundidad
+            }));
+        }
+    });
+
+    // 4. Depuración de la auditoría anterior, detrás de las reevaluaciones de la página
+    if (idsCambiados.length > 0) {
+        contexto.estadoCola.filasNuevas.push(construirFilaCola({
+            idNode: tracker.idUnidad,
+            rutaArmada: entidad.rutaArmada,
+            urlVisita: entidad.urlVisita,
+            permisosCarpeta: null,
+            banderaRaiz: false,
+            trackerPaginacion: {
+                etapa: 'DEPURAR',
+                idUnidad: tracker.idUnidad,
+                idCarpetaRaiz: punto.idCarpetaMaestra,
+                ramaExcluida: rama.ramaNombre,
+                depuracion: {
+                    ids: idsCambiados,
+                    idsConDescendencia: idsConDescendencia,
+                    rutas: carpetasReevaluadas.map(idCarpeta => aReevaluar[idCarpeta].ruta),
+                    prefijos: [],
+                    filasQuitadas: 0
+                }
+            },
+            tokenPagina: null,
+            profundidad: 0
+        }));
+    }
+
+    tracker.carpetasReevaluadas = tracker.carpetasReevaluadas.concat(carpetasReevaluadas).slice(-MAXIMO_CARPETAS_REEVALUADAS);
+    tracker.resumen.cambios += cambios.length;
+    tracker.resumen.reevaluados += idsReevaluar.length;
+    tracker.resumen.quitados += idsCambiados.length - Object.keys(aReevaluar).length;
+}
+
+/**
+ * Lista, ordenados por ID, los libros de una carpeta de auditoría que la depuración revisa: reportes e índices de
+ * principales, salvo los de la corrida incremental en curso.
+ * @param {string} idCarpetaMaestra - Carpeta de la auditoría anterior.
+ * @param {string} ramaExcluida - Nombre de rama de la corrida en curso.
+ * @return {Array<string>} IDs de los libros.
+ */
+function listarLibrosDepurables(idCarpetaMaestra, ramaExcluida) {
+    const idsLibros = [];
+    const archivos = DriveApp.getFolderById(idCarpetaMaestra).getFilesByType(MimeType.GOOGLE_SHEETS);
+    while (archivos.hasNext()) {
+        const archivo = archivos.next();
+        const nombre = archivo.getName();
+        if (!/^Reporte - .* \(Parte \d+\)$/.test(nombre) && nombre.indexOf(PREFIJO_LIBRO_INDICE_PRINCIPALES) !== 0) {
+            continue;
+        }
+        if (nombre.indexOf(`Reporte - ${ramaExcluida} (`) === 0 || nombre.indexOf(`${PREFIJO_LIBRO_INDICE_PRINCIPALES} - ${ramaExcluida} (`) === 0) {
+            continue;
+        }
+        idsLibros.push(archivo.getId());
+    }
+    return idsLibros.sort();
+}
+
+/**
+ * Abre un libro a depurar y ubica sus columnas de ID y ruta (los reportes y los índices las nombran distinto).
+ * @param {string} idLibro - ID del libro.
+ * @return {Object|null} { idLibro, rango (filas de datos), columnaId, columnaRuta } o null si no tiene filas o columnas que depurar.
+ */
+function abrirLibroDepurable(idLibro) {
+    const hoja = SpreadsheetApp.openById(idLibro).getSheets()[0];
+    if (hoja.getLastRow() < 2) {
+        return null;
+    }
+    const columna = crearLocalizadorColumnas(hoja.getRange(1, 1, 1, hoja.getLastColumn()).getValues()[0]); // API_SalidaDrive.js
+    const columnaRuta = columna('Ruta Escaneada') >= 0 ? columna('Ruta Escaneada') : columna('Ruta');
+    if (columna('ID Elemento') < 0 || columnaRuta < 0) {
+        return null;
+    }
+    return { idLibro: idLibro, rango: hoja.getRange(2, 1, hoja.getLastRow() - 1, hoja.getLastColumn()), columnaId: columna('ID Elemento'), columnaRuta: columnaRuta };
+}
+
+/**
+ * Etapa 'DEPURAR': quita de los libros de la auditoría anterior las filas de los elementos de una página de cambios y de
+ * todo lo que colgaba de sus carpetas cambiadas o eliminadas, que se reevalúan o ya no existen. Avanza libro a libro en
+ * dos fases, con el avance en el token de la fila: "RUTAS:<n>" junta las rutas previas de esas carpetas (su descendencia
+ * también es obsoleta) y "FILAS:<n>" reescribe cada libro con sus filas vigentes.
+ * @param {Object} entidad - Fila en curso; su tracker trae `depuracion` { ids, idsConDescendencia, rutas, prefijos, filasQuitadas }.
+ * @param {Object} contexto - Ver "procesarEtapaIncremental".
+ * @return {boolean} true si se revisaron todos los libros.
+ */
+function depurarHallazgosObsoletos(entidad, contexto) {
+    const tracker = entidad.trackerPaginacion;
+    const depuracion = tracker.depuracion;
+    const idsLibros = listarLibrosDepurables(tracker.idCarpetaRaiz, tracker.ramaExcluida);
+    const avance = String(entidad.tokenPagina || 'RUTAS:0').split(':');
+    let inicio = Number(avance[1]) || 0;
+
+    // 1. Rutas anteriores de las carpetas cambiadas y de los elementos quitados, tomadas de sus filas previas
+    if (avance[0] === 'RUTAS') {
+        const conDescendencia = {};
+        depuracion.idsConDescendencia.forEach(idElemento => {
+            conDescendencia[idElemento] = true;
+        });
+        for (let i = inicio; i < idsLibros.length; i++) {
+            if (contexto.debeDetenerse()) {
+                entidad.tokenPagina = `RUTAS:${i}`;
+                return false;
+            }
+            const libro = abrirLibroDepurable(idsLibros[i]);
+            if (!libro) {
+                continue;
+            }
+            libro.rango.getValues().forEach(fila => {
+                const prefijo = `${fila[libro.columnaRuta]}/`;
+                if (conDescendencia[fila[libro.columnaId]] && depuracion.prefijos.indexOf(prefijo) < 0) {
+                    depuracion.prefijos.push(prefijo);
+                }
+            });
+        }
+        inicio = 0;
+    }
+
+    // 2. Reescritura de cada libro con las filas vigentes
+    const cambiados = {};
+    depuracion.ids.forEach(idElemento => {
+        cambiados[idElemento] = true;
+    });
+    const prefijos = depuracion.prefijos.concat(depuracion.rutas.map(ruta => `${ruta}/`));
+    const esObsoleta = (idElemento, ruta) => cambiados[idElemento] || prefijos.some(prefijo => String(ruta).indexOf(prefijo) === 0);
+    for (let i = inicio; i < idsLibros.length; i++) {
+        if (contexto.debeDetenerse()) {
+            entidad.tokenPagina = `FILAS:${i}`;
+            return false;
+        }
+        const libro = abrirLibroDepurable(idsLibros[i]);
+        if (!libro) {
+            continue;
+        }
+        const filas = libro.rango.getValues();
+        const vigentes = filas.filter(fila => !esObsoleta(fila[libro.columnaId], fila[libro.columnaRuta]));
+        if (vigentes.length === filas.length) {
+            continue;
+        }
+        // Una sola escritura del rango entero (vigentes y después celdas vacías): un corte no deja el libro a medias
+        const filaVacia = filas[0].map(() => '');
+        libro.rango.setValues(vigentes.concat(filas.slice(vigentes.length).map(() => filaVacia)));
+        const filasRestadas = {};
+        filasRestadas[libro.idLibro] = vigentes.length - filas.length;
+        actualizarIndiceParticiones(SpreadsheetApp.getActiveSpreadsheet(), [], filasRestadas); // API_SalidaDrive.js
+        depuracion.filasQuitadas += filas.length - vigentes.length;
+        entidad.tokenPagina = `FILAS:${i + 1}`;
+        contexto.guardarAvance(); // Un libro ya depurado no se vuelve a restar del índice si el tramo se corta
+    }
+
+    if (depuracion.filasQuitadas > 0) {
+        contexto.hojaReporte.appendRow([entidad.rutaArmada, entidad.urlVisita, 'Depuración incremental', `${depuracion.filasQuitadas} filas previas depuradas (elementos reevaluados o que ya no existen)`]);
+    }
+    return true;
+}
+
+/**
+ * Relee con su estado actual los elementos de una fila de reevaluación. Los que ya no existen o están en la papelera se
+ * saltan: su fila 'DEPURAR' ya quita sus hallazgos previos.
+ * @param {Array} idsCambiados - IDs de la fila (las colas anteriores a esta lectura traían el recurso, que se usa tal cual).
+ * @param {Object} fuenteDatos - Fuente de datos de la corrida (ver "obtenerFuenteDatos").
+ * @param {Function} alFallar - Recibe (idElemento, error) de cada lectura fallida, para reencolarlo aparte.
+ * @return {Array<File>} Elementos con los campos de una página del rastreo.
+ */
+function releerElementosCambiados(idsCambiados, fuenteDatos, alFallar) {
+    const elementos = [];
+    idsCambiados.forEach(idElemento => {
+        if (typeof idElemento !== 'string') {
+            elementos.push(idElemento);
+            return;
+        }
+        try {
+            const elemento = fuenteDatos.leerElementoRastreo(idElemento);
+            if (!elemento.trashed) {
+                elementos.push(elemento);
+            }
+        } catch (error) {
+            if (!/not ?found|\b404\b/i.test(error.message)) {
+                alFallar(idElemento, error);
+            }
+        }
+    });
+    return elementos;
+}
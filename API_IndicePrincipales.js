@@ -0,0 +1,154 @@
+/**
+ * Archivo: API_IndicePrincipales.js
+ * Propósito: Vista inversa de la auditoría. Durante el rastreo anota por cada elemento quién tiene acceso
+ * (con su rol y si el acceso es directo o heredado) en libros "Índice de Principales - <rama> (Parte N)",
+ * y permite consultar todo lo que alcanza un correo o un dominio (bajas de personal, respuesta a incidentes).
+ */
+
+/**
+ * Determina si el acceso de un principal en un elemento es propio o viene de su carpeta. En Unidades Compartidas
+ * lo informa Drive (permissionDetails); en Mi unidad se deduce: es heredado si la carpeta tiene el mismo rol.
+ * @param {Object} permiso - Permiso normalizado del elemento.
+ * @param {Object|null} conjuntoPadre - Permisos de la carpeta contenedora (null en la raíz).
+ * @return {string} 'Directo', 'Heredado' o 'Heredado de <ID>'.
+ */
+function describirOrigenAcceso(permiso, conjuntoPadre) {
+    if (permiso.heredado === true) {
+        return permiso.heredadoDe ? `Heredado de ${permiso.heredadoDe}` : 'Heredado';
+    }
+    if (permiso.heredado === false || !conjuntoPadre) {
+        return 'Directo';
+    }
+    const accesoPadre = obtenerNivelAccesoUsuario(permiso.clave, conjuntoPadre); // API_Permisos.js
+    return accesoPadre && accesoPadre.rol === permiso.rol ? 'Heredado' : 'Directo';
+}
+
+/**
+ * Crea la siguiente parte del libro índice de una rama en su carpeta de auditoría.
+ * @param {Object} tracker - Tracker de la rama (usa `ramaNombre` e `idCarpetaRaiz`).
+ * @param {Object} indice - Estado actual del índice { idSheet, filaActual, parteActual }.
+ * @return {Object} Estado nuevo del índice, apuntando al libro recién creado.
+ */
+function abrirLibroIndicePrincipales(tracker, indice) {
+    const parteActual = indice.parteActual + 1;
+    const libroIndice = SpreadsheetApp.create(`${PREFIJO_LIBRO_INDICE_PRINCIPALES} - ${tracker.ramaNombre} (Parte ${parteActual})`);
+    const hojaIndice = libroIndice.getSheets()[0];
+    hojaIndice.appendRow(CABECERAS_INDICE_PRINCIPALES);
+    hojaIndice.getRange(1, 1, 1, CABECERAS_INDICE_PRINCIPALES.length).setFontWeight('bold');
+    hojaIndice.setFrozenRows(1);
+    DriveApp.getFileById(libroIndice.getId()).moveTo(DriveApp.getFolderById(tracker.idCarpetaRaiz));
+    return { idSheet: libroIndice.getId(), filaActual: 2, parteActual: parteActual };
+}
+
+/**
+ * Anota los accesos de un elemento en el libro índice de su rama. Igual que los hallazgos, la fila queda en el búfer
+ * hasta el siguiente punto de control; si el libro no existe o rebasó "limiteFilasPorParticion" se abre una nueva parte.
+ * @param {Object} tracker - Tracker de la rama (ver "volcarHallazgoAPaginacion"); guarda su libro índice en `indicePrincipales`.
+ * @param {Object} elemento - { id, ruta, tipoMime, url } del elemento auditado.
+ * @param {Object} conjuntoElemento - Permisos del elemento.
+ * @param {Object|null} conjuntoPadre - Permisos de su carpeta, para distinguir accesos heredados en Mi unidad.
+ * @param {Object} buferHallazgos - Búfer creado por "crearBuferHallazgos" (API_SalidaDrive.js).
+ * @return {Object} El mismo tracker, con su `indicePrincipales` actualizado.
+ */
+function registrarEnIndicePrincipales(tracker, elemento, conjuntoElemento, conjuntoPadre, buferHallazgos) {
+    // Corridas iniciadas antes de esta opción no traen el estado del índice: arrancan un libro nuevo
+    let indice = Object.assign({ idSheet: null, filaActual: 1, parteActual: 0 }, tracker.indicePrincipales);
+
+    if (!indice.idSheet || indice.filaActual >= obtenerAjuste('limiteFilasPorParticion')) {
+        indice = abrirLibroIndicePrincipales(tracker, indice);
+    }
+
+    // Accesos compactos [principal, tipo, rol, origen]; la columna "Principales" permite descartar filas sin parsear el JSON
+    const accesos = conjuntoElemento.permisos.map(permiso => [permiso.principal, permiso.tipo, permiso.rol, describirOrigenAcceso(permiso, conjuntoPadre)]);
+    const fila = [
+        elemento.id,
+        elemento.ruta,
+        elemento.tipoMime,
+        elemento.url,
+        conjuntoElemento.permisos.map(permiso => permiso.clave).join(' '),
+        JSON.stringify(accesos)
+    ];
+
+    if (!buferHallazgos.filasPorLibro[indice.idSheet]) {
+        buferHallazgos.filasPorLibro[indice.idSheet] = [];
+    }
+    buferHallazgos.filasPorLibro[indice.idSheet].push(fila);
+    buferHallazgos.totalFilas += 1;
+    indice.filaActual += 1;
+
+    tracker.indicePrincipales = indice; // Objeto nuevo: las ramas hijas ya serializadas conservan su propia copia
+    return tracker;
+}
+
+/**
+ * Indica si un acceso del índice corresponde a la consulta.
+ * @param {string} principal - Principal normalizado (correo, dominio o 'anyone').
+ * @param {string} tipo - Tipo de principal ('user', 'group', 'domain', 'anyone').
+ * @param {string} consulta - Correo, dominio o 'anyone', en minúsculas.
+ * @return {boolean} Un correo coincide exacto; un dominio coincide con su concesión de dominio y con todos sus correos.
+ */
+function coincideAccesoConsulta(principal, tipo, consulta) {
+    if (consulta.includes('@')) {
+        return principal === consulta;
+    }
+    if (consulta === 'anyone') {
+        return tipo === 'anyone';
+    }
+    if (tipo === 'domain') {
+        return principal === consulta;
+    }
+    return (tipo === 'user' || tipo === 'group') && principal.endsWith(`@${consulta}`);
+}
+
+/**
+ * Busca en los libros índice de la última auditoría de cada unidad (según el resumen) todos los elementos
+ * que alcanza un correo o un dominio.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {string} consulta - Correo, dominio o 'anyone'.
+ * @param {number} tiempoEmpezadoMS - Marca de inicio de la ejecución, para respetar "minutosMaximosEjecucion".
+ * @return {Object} { filas: Array (según CABECERAS_ACCESOS_PRINCIPAL), librosLeidos: number, completo: boolean }.
+ */
+function buscarAccesosPrincipal(ss, consulta, tiempoEmpezadoMS) {
+    const tiempoMaximoMS = obtenerAjuste('minutosMaximosEjecucion') * 60 * 1000; // Cfg_Configuracion.js
+    const termino = consulta.trim().toLowerCase();
+    const patronLibro = new RegExp(`^${PREFIJO_LIBRO_INDICE_PRINCIPALES} - .* \\(Parte \\d+\\)$`);
+    const resultado = { filas: [], librosLeidos: 0, completo: true };
+    const etiquetaRol = rol => ETIQUETAS_ROLES_DRIVE[rol] || rol;
+
+    const unidades = leerResumenUnidades(ss).filter(unidad => unidad.idCarpetaMaestra); // API_SalidaDrive.js
+    for (let i = 0; i < unidades.length; i++) {
+        const libros = DriveApp.getFolderById(unidades[i].idCarpetaMaestra).getFilesByType(MimeType.GOOGLE_SHEETS);
+        while (libros.hasNext()) {
+            if (new Date().getTime() - tiempoEmpezadoMS > tiempoMaximoMS) {
+                resultado.completo = false;
+                return resultado;
+            }
+            const archivoLibro = libros.next();
+            if (!patronLibro.test(archivoLibro.getName())) {
+                continue;
+            }
+
+            const valores = SpreadsheetApp.openById(archivoLibro.getId()).getSheets()[0].getDataRange().getValues();
+            resultado.librosLeidos += 1;
+            const columna = nombre => valores[0].indexOf(nombre);
+
+            valores.slice(1).forEach(fila => {
+                if (!String(fila[columna('Principales')]).includes(termino)) {
+                    return;
+                }
+                let accesos;
+                try {
+                    accesos = JSON.parse(fila[columna('Accesos (JSON)')]);
+                } catch (error) {
+                    Logger.log(`[Índice] Fila ilegible en ${archivoLibro.getName()} (${fila[columna('ID Elemento')]}): ${error.message}`);
+                    return;
+                }
+                accesos.filter(([principal, tipo]) => coincideAccesoConsulta(principal, tipo, termino)).forEach(([principal, tipo, rol, origen]) => {
+                    resultado.filas.push([principal, tipo, etiquetaRol(rol), origen, fila[columna('Ruta')], fila[columna('Tipo MIME')], fila[columna('ID Elemento')], fila[columna('Enlace')], unidades[i].nombre]);
+                });
+            });
+        }
+    }
+
+    return resultado;
+}
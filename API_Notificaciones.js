@@ -0,0 +1,100 @@
+/**
+ * Archivo: API_Notificaciones.js
+ * Propósito: Envía avisos de auditoría completada, pausada por tiempo o detenida por error crítico,
+ * por correo (MailApp) y opcionalmente como JSON a un webhook entrante, con límite de frecuencia para las pausas.
+ */
+
+/**
+ * Notifica un evento de la auditoría. Nunca lanza excepciones: un fallo de envío solo se registra en el log.
+ * @param {string} evento - 'COMPLETADA', 'PAUSA' o 'ERROR_CRITICO'.
+ * @param {Spreadsheet} ss - Libro activo (para leer el resumen por unidad).
+ * @param {string} [detalle] - Texto adicional (ej. el mensaje de error).
+ * @return {boolean} true si se envió al menos por un canal.
+ */
+function notificarEventoAuditoria(evento, ss, detalle) {
+    const destinatarios = obtenerAjuste('destinatariosNotificacion'); // Cfg_Configuracion.js
+    const urlWebhook = obtenerAjuste('urlWebhookNotificacion');
+    if (destinatarios.length === 0 && !urlWebhook) {
+        return false;
+    }
+    // Solo las pausas se repiten a lo largo de una corrida; el fin y los errores críticos siempre se avisan
+    if (evento === 'PAUSA' && !notificacionPermitida(evento)) {
+        Logger.log(`[Notificación] Aviso "${evento}" omitido por límite de frecuencia (${obtenerAjuste('minutosEntreNotificaciones')} min).`);
+        return false;
+    }
+
+    const unidades = leerResumenUnidades(ss); // API_SalidaDrive.js
+    const titulos = {
+        COMPLETADA: 'Auditoría de Drive completada',
+        PAUSA: 'Auditoría de Drive en pausa por límite de tiempo',
+        ERROR_CRITICO: 'Auditoría de Drive detenida por error crítico'
+    };
+    const asunto = `${titulos[evento] || evento} - ${ss.getName()}`;
+
+    const lineasUnidades = unidades.map(unidad => {
+        const enlace = unidad.idCarpetaMaestra ? `https://drive.google.com/drive/folders/${unidad.idCarpetaMaestra}` : 'sin carpeta';
+        const omitidos = unidad.subcarpetasOmitidas + unidad.archivosOmitidos > 0
+            ? ` | fuera de alcance: ${unidad.subcarpetasOmitidas} subcarpetas y ${unidad.archivosOmitidos} archivos`
+            : '';
+        return `- ${unidad.nombre}: ${unidad.estado} | ${unidad.elementos} elementos | ${unidad.hallazgos} hallazgos${omitidos} | ${enlace}`;
+    });
+    const cuerpo = [
+        asunto,
+        detalle ? `\nDetalle: ${detalle}` : '',
+        `\nLibro de control: ${ss.getUrl()}`,
+        lineasUnidades.length > 0 ? `\nResumen por unidad:\n${lineasUnidades.join('\n')}` : ''
+    ].join('\n');
+
+    let enviado = false;
+
+    if (destinatarios.length > 0) {
+        try {
+            MailApp.sendEmail({ to: destinatarios.join(','), subject: asunto, body: cuerpo });
+            enviado = true;
+        } catch (error) {
+            Logger.log(`[Notificación] Fallo al enviar correo: ${error.message}`);
+        }
+    }
+
+    if (urlWebhook) {
+        const cargaUtil = {
+            evento: evento,
+            titulo: asunto,
+            detalle: detalle || '',
+            libroControl: ss.getUrl(),
+            fecha: new Date().toISOString(),
+            unidades: unidades,
+            text: cuerpo // Campo que Google Chat y Slack muestran directamente
+        };
+        try {
+            const respuesta = UrlFetchApp.fetch(urlWebhook, {
+                method: 'post',
+                contentType: 'application/json',
+                payload: JSON.stringify(cargaUtil),
+                muteHttpExceptions: true
+            });
+            if (respuesta.getResponseCode() >= 300) {
+                Logger.log(`[Notificación] El webhook respondió ${respuesta.getResponseCode()}: ${respuesta.getContentText()}`);
+            } else {
+                enviado = true;
+            }
+        } catch (error) {
+            Logger.log(`[Notificación] Fallo al invocar el webhook: ${error.message}`);
+        }
+    }
+
+    if (enviado) {
+        PropertiesService.getScriptProperties().setProperty(PREFIJO_CLAVE_ULTIMA_NOTIFICACION + evento, String(new Date().getTime()));
+    }
+    return enviado;
+}
+
+/**
+ * Indica si ya pasó el intervalo mínimo desde el último aviso del mismo tipo.
+ * @param {string} evento - Tipo de evento.
+ * @return {boolean} true si se puede notificar.
+ */
+function notificacionPermitida(evento) {
+    const ultimoEnvio = Number(PropertiesService.getScriptProperties().getProperty(PREFIJO_CLAVE_ULTIMA_NOTIFICACION + evento) || 0);
+    return new Date().getTime() - ultimoEnvio >= obtenerAjuste('minutosEntreNotificaciones') * 60 * 1000;
+}
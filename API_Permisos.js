@@ -5,126 +5,396 @@
  */
 
 /**
- * Obtiene el conjunto de permisos "simplificado" (Editores, Visualizadores, Público, Dominio)
- * para una rápida comparación de herencia.
- * @param {File|Folder} archivoDrive - El archivo o carpeta a auditar.
- * @return {Object} Un objeto con { editores: [], visualizadores: [], accesoPublico: 'Ninguno', accesoDominio: 'Ninguno' }.
+ * Descarga la lista completa de permisos de un elemento mediante Drive API v3 (avanzado), recorriendo todas las páginas.
+ * @param {string} idElemento - ID del archivo, carpeta o Unidad Compartida.
+ * @param {boolean} usarAccesoAdministrador - true para consultar como administrador de dominio (solo aplica a la raíz de una Unidad Compartida).
+ * @return {Array} Lista de recursos `Permission` crudos tal como los entrega la API.
  */
-function obtenerConjuntoPermisos(archivoDrive) {
-    const editores = new Set();
-    const visualizadores = new Set();
-    let accesoPublico = 'Ninguno';
-    let accesoDominio = 'Ninguno';
+function listarPermisosDrive(idElemento, usarAccesoAdministrador) {
+    const permisosCrudos = [];
+    let tokenPagina;
 
-    try {
-        archivoDrive.getEditors().forEach(usuario => editores.add(usuario.getEmail()));
-    } catch (e) { /* Ignorar errores al obtener editores */ }
+    do {
+        const parametros = {
+            supportsAllDrives: true,
+            fields: `nextPageToken, permissions(${CAMPOS_PERMISO_DRIVE})`,
+            pageSize: 100
+        };
+        if (usarAccesoAdministrador) {
+            parametros.useDomainAdminAccess = true;
+        }
+        if (tokenPagina) {
+            parametros.pageToken = tokenPagina;
+        }
 
-    try {
-        archivoDrive.getViewers().forEach(usuario => visualizadores.add(usuario.getEmail()));
-    } catch (e) { /* Ignorar errores al obtener visualizadores */ }
+        const respuesta = Drive.Permissions.list(idElemento, parametros);
+        (respuesta.permissions || []).forEach(permiso => permisosCrudos.push(permiso));
+        tokenPagina = respuesta.nextPageToken;
+    } while (tokenPagina);
 
-    try {
-        const accesoCompartido = archivoDrive.getSharingAccess();
-        const permisoCompartido = archivoDrive.getSharingPermission();
-
-        if (accesoCompartido === DriveApp.Access.ANYONE || accesoCompartido === DriveApp.Access.ANYONE_WITH_LINK) {
-            if (permisoCompartido === DriveApp.Permission.EDIT) {
-                accesoPublico = 'Editor';
-            } else if (permisoCompartido === DriveApp.Permission.VIEW) {
-                accesoPublico = 'Visualizador';
-            }
-        } else if (accesoCompartido === DriveApp.Access.DOMAIN || accesoCompartido === DriveApp.Access.DOMAIN_WITH_LINK) {
-            if (permisoCompartido === DriveApp.Permission.EDIT) {
-                accesoDominio = 'Editor';
-            } else if (permisoCompartido === DriveApp.Permission.VIEW) {
-                accesoDominio = 'Visualizador';
-            }
-        }
-    } catch (e) { /* Ignorar errores al obtener permisos de enlaces públicos o de dominio */ }
+    return permisosCrudos;
+}
+
+/**
+ * Devuelve el dominio de un correo en minúsculas. Drive puede omitir el correo (ej. cuentas eliminadas) o devolver
+ * uno sin "@", y en ese caso el dominio queda desconocido en lugar de romper la lectura.
+ * @param {*} correo - Correo a examinar.
+ * @return {string} El dominio, o '' si no se puede determinar.
+ */
+function extraerDominioCorreo(correo) {
+    if (typeof correo !== 'string' || correo.indexOf('@') < 0) {
+        return '';
+    }
+    return correo.substring(correo.lastIndexOf('@') + 1).toLowerCase();
+}
 
-    const visualizadoresFinales = [...visualizadores].filter(v => !editores.has(v));
+/**
+ * Convierte un recurso `Permission` de Drive API al modelo interno de la auditoría.
+ * @param {Object} permiso - Recurso crudo de Drive.Permissions.list.
+ * @return {Object} { clave, principal, tipo, rol, dominio, permiteDescubrimiento, expiracion, heredado, heredadoDe }.
+ */
+function normalizarPermiso(permiso) {
+    const tipo = permiso.type;
+    let principal;
+
+    if (tipo === 'user' || tipo === 'group') {
+        principal = (permiso.emailAddress || `ID ${permiso.id}`).toLowerCase();
+    } else if (tipo === 'domain') {
+        principal = (permiso.domain || 'Dominio interno').toLowerCase();
+    } else if (tipo === 'anyone') {
+        principal = 'anyone';
+    } else {
+        principal = `ID ${permiso.id}`;
+    }
+
+    // permissionDetails solo existe en elementos de Unidades Compartidas. Si alguna de sus entradas
+    // no es heredada el acceso se considera directo; sin detalles el origen es desconocido (Mi unidad).
+    let heredado = null;
+    let heredadoDe = '';
+    const detalles = permiso.permissionDetails || [];
+    if (detalles.length > 0) {
+        heredado = detalles.every(detalle => detalle.inherited === true);
+        const detalleHeredado = detalles.find(detalle => detalle.inherited && detalle.inheritedFrom);
+        heredadoDe = detalleHeredado ? detalleHeredado.inheritedFrom : '';
+    }
 
     return {
-        editores: [...editores],
-        visualizadores: visualizadoresFinales,
-        accesoPublico: accesoPublico,
-        accesoDominio: accesoDominio
+        clave: `${tipo}:${principal}`,
+        principal: principal,
+        tipo: tipo,
+        rol: permiso.role,
+        dominio: permiso.domain || extraerDominioCorreo(permiso.emailAddress),
+        permiteDescubrimiento: permiso.allowFileDiscovery === true,
+        expiracion: permiso.expirationTime || '',
+        heredado: heredado,
+        heredadoDe: heredadoDe
     };
 }
 
 /**
- * Obtiene el nivel de acceso simplificado de un usuario específico.
- * @param {string} emailUsuario - El correo electrónico del usuario.
+ * Arma el conjunto de permisos del modelo interno a partir de recursos `Permission` crudos,
+ * dejando un único permiso por principal.
+ * @param {Array} permisosCrudos - Recursos de Drive API (de Permissions.list o del campo `permissions` de Files.list).
+ * @param {Object} [ajustes] - Ajustes de uso compartido del elemento (ver "extraerAjustesUsoCompartido").
+ * @return {Object} Un objeto serializable `{ permisos: [ ...permisoNormalizado ], ajustes }`.
+ */
+function construirConjuntoPermisos(permisosCrudos, ajustes) {
+    const permisosPorClave = {};
+
+    permisosCrudos.forEach(permisoCrudo => {
+        const permiso = normalizarPermiso(permisoCrudo);
+        const existente = permisosPorClave[permiso.clave];
+        // Un mismo principal puede llegar repetido (ej. miembro de la unidad y permiso del archivo): conservar el de mayor rango
+        if (!existente || compararRangoRoles(permiso.rol, existente.rol) > 0) {
+            permisosPorClave[permiso.clave] = permiso;
+        }
+    });
+
+    return {
+        permisos: Object.keys(permisosPorClave).sort().map(clave => permisosPorClave[clave]),
+        ajustes: ajustes || null
+    };
+}
+
+/**
+ * Obtiene el conjunto de permisos completo de un elemento (rol, tipo de principal, dominio, descubrimiento,
+ * expiración y origen directo/heredado) junto a sus ajustes de uso compartido, para comparar la herencia con fidelidad total.
+ * @param {string} idElemento - ID del archivo o carpeta a auditar.
+ * @param {boolean} [usarAccesoAdministrador] - true para leer la raíz de una Unidad Compartida como administrador de dominio.
+ * @param {Object} [fuenteDatos] - Fuente de "obtenerFuenteDatos" (API_FuenteDatos.js). Por defecto, Drive en vivo.
+ * @return {Object} Un objeto serializable `{ permisos: [ ...permisoNormalizado ] }`.
+ */
+function obtenerConjuntoPermisos(idElemento, usarAccesoAdministrador, fuenteDatos) {
+    const fuente = fuenteDatos || obtenerFuenteDatos();
+    return construirConjuntoPermisos(fuente.listarPermisos(idElemento, usarAccesoAdministrador === true), fuente.leerAjustes(idElemento));
+}
+
+/**
+ * Obtiene el conjunto de permisos de un hijo devuelto por "listarPaginaHijosCarpeta" gastando el mínimo de llamadas:
+ * usa los permisos incluidos en el listado; en Unidades Compartidas, si el hijo no tiene accesos propios
+ * (hasAugmentedPermissions = false) hereda exactamente los de su carpeta; solo en el resto consulta la fuente de datos.
+ * @param {Object} archivoListado - Recurso `File` de Drive.Files.list (o de una instantánea).
+ * @param {Object} conjuntoCarpeta - Conjunto de permisos de la carpeta que lo contiene.
+ * @param {Object} [fuenteDatos] - Fuente de "obtenerFuenteDatos" (API_FuenteDatos.js). Por defecto, Drive en vivo.
+ * @return {Object} Un objeto serializable `{ permisos: [ ...permisoNormalizado ] }`.
+ */
+function obtenerConjuntoPermisosDeListado(archivoListado, conjuntoCarpeta, fuenteDatos) {
+    // Los ajustes siempre son los del hijo, aunque sus accesos sean exactamente los de la carpeta
+    const ajustes = extraerAjustesUsoCompartido(archivoListado, conjuntoCarpeta.ajustes); // API_UsoCompartido.js
+    if (archivoListado.permissions) {
+        return construirConjuntoPermisos(archivoListado.permissions, ajustes);
+    }
+    if (archivoListado.driveId && archivoListado.hasAugmentedPermissions === false) {
+        return { permisos: conjuntoCarpeta.permisos, ajustes: ajustes };
+    }
+    const fuente = fuenteDatos || obtenerFuenteDatos();
+    return construirConjuntoPermisos(fuente.listarPermisos(archivoListado.id, false), ajustes);
+}
+
+/**
+ * Compara dos roles de Drive según su nivel de privilegio.
+ * @param {string} rolA - Rol de Drive API (ej. 'writer').
+ * @param {string} rolB - Rol de Drive API (ej. 'reader').
+ * @return {number} Positivo si rolA otorga más privilegios que rolB, negativo si menos, 0 si son equivalentes.
+ */
+function compararRangoRoles(rolA, rolB) {
+    return JERARQUIA_ROLES_DRIVE.indexOf(rolA) - JERARQUIA_ROLES_DRIVE.indexOf(rolB);
+}
+
+/**
+ * Obtiene el permiso de un principal específico dentro de un conjunto.
+ * @param {string} clavePrincipal - Clave `tipo:principal` generada por "normalizarPermiso".
  * @param {Object} conjuntoPermisos - Objeto con los permisos obtenido previamente de "obtenerConjuntoPermisos".
- * @return {string} 'Editor', 'Visualizador', o 'Ninguno'.
+ * @return {Object|null} El permiso normalizado o null si el principal no tiene acceso.
  */
-function obtenerNivelAccesoUsuario(emailUsuario, conjuntoPermisos) {
-    if (conjuntoPermisos.editores.includes(emailUsuario)) return 'Editor';
-    if (conjuntoPermisos.visualizadores.includes(emailUsuario)) return 'Visualizador';
-    return 'Ninguno';
+function obtenerNivelAccesoUsuario(clavePrincipal, conjuntoPermisos) {
+    return conjuntoPermisos.permisos.find(permiso => permiso.clave === clavePrincipal) || null;
 }
 
 /**
- * Compara dos conjuntos de permisos y formatea las diferencias detectadas para su encolamiento.
+ * Traduce un permiso normalizado a texto legible para el reporte.
+ * @param {Object} permiso - Permiso normalizado.
+ * @return {string} Ej. "usuario@dominio.com - Comentador (Directo)".
+ */
+function describirPermiso(permiso) {
+    let textoPrincipal;
+    if (permiso.tipo === 'anyone') {
+        textoPrincipal = permiso.permiteDescubrimiento ? 'Público (Buscable en la web)' : 'Público (Cualquiera con enlace)';
+    } else if (permiso.tipo === 'domain') {
+        textoPrincipal = permiso.permiteDescubrimiento ? `Dominio (${permiso.principal}, buscable)` : `Dominio (${permiso.principal}, con enlace)`;
+    } else if (permiso.tipo === 'group') {
+        textoPrincipal = `Grupo ${permiso.principal}`;
+    } else {
+        textoPrincipal = permiso.principal;
+    }
+
+    const rolLegible = ETIQUETAS_ROLES_DRIVE[permiso.rol] || permiso.rol;
+    const origen = describirOrigenPermiso(permiso);
+    const expiracion = permiso.expiracion ? `, expira ${permiso.expiracion}` : '';
+
+    return `${textoPrincipal} - ${rolLegible} (${origen}${expiracion})`;
+}
+
+/**
+ * Indica si un permiso llega por herencia o fue otorgado directamente sobre el elemento.
+ * @param {Object} permiso - Permiso normalizado.
+ * @return {string} 'Directo', 'Heredado' u 'Origen desconocido' (Mi unidad no informa la herencia).
+ */
+function describirOrigenPermiso(permiso) {
+    if (permiso.heredado === null) {
+        return 'Origen desconocido';
+    }
+    return permiso.heredado ? 'Heredado' : 'Directo';
+}
+
+/**
+ * Detecta los accesos en que un elemento se aparta de su padre: principales presentes en un solo nivel,
+ * un rol distinto, o un cambio en la visibilidad (allowFileDiscovery) o en la fecha de expiración del acceso.
  * @param {Object} conjuntoPadre - Permisos de la carpeta/unidad base.
- * @param {Object} conjuntoHijo - Permisos del archivo/carpeta interno a evaluar.
- * @param {string} ruta - Ruta amigable del archivo o carpeta.
- * @param {string} url - Enlace URL al archivo o carpeta.
- * @param {string} tipoItem - Denominación en texto (ej. "Carpeta", "Archivo").
- * @param {string} dominioOrganizacion - El dominio principal de la cuenta con la que se ejecuta (texto).
- * @return {Array|null} Retorna el arreglo de la fila `[ruta, url, tipo, usuariosTexto]` si hubo hallazgos, o null si todo está en orden.
- */
-function registrarDiferenciasPermisos(conjuntoPadre, conjuntoHijo, ruta, url, tipoItem, dominioOrganizacion) {
-    // Combinar usuarios de ambos niveles para comprobar diferencias
-    const todosLosUsuarios = new Set([
-        ...conjuntoPadre.editores,
-        ...conjuntoPadre.visualizadores,
-        ...conjuntoHijo.editores,
-        ...conjuntoHijo.visualizadores
+ * @param {Object} conjuntoHijo - Permisos del archivo/carpeta evaluado.
+ * @return {Object} { diferenciasDetectadas: boolean, permisosDesviados: Array } con los accesos del hijo que cambian.
+ */
+function detectarPermisosDesviados(conjuntoPadre, conjuntoHijo) {
+    // Combinar principales de ambos niveles para comprobar diferencias
+    const todasLasClaves = new Set([
+        ...conjuntoPadre.permisos.map(permiso => permiso.clave),
+        ...conjuntoHijo.permisos.map(permiso => permiso.clave)
     ]);
 
     let diferenciasDetectadas = false;
+    const permisosDesviados = []; // Accesos del hijo que no existen o cambian respecto al padre (para la clasificación de riesgo)
+
+    todasLasClaves.forEach(clave => {
+        const accesoPadre = obtenerNivelAccesoUsuario(clave, conjuntoPadre);
+        const accesoHijo = obtenerNivelAccesoUsuario(clave, conjuntoHijo);
 
-    // 1. Evaluar las diferencias a nivel de cuenta individual (usuarios directos)
-    todosLosUsuarios.forEach(usuario => {
-        const accesoPadre = obtenerNivelAccesoUsuario(usuario, conjuntoPadre);
-        const accesoHijo = obtenerNivelAccesoUsuario(usuario, conjuntoHijo);
-        if (accesoPadre !== accesoHijo) {
+        if (!accesoPadre || !accesoHijo) {
+            diferenciasDetectadas = true;
+            if (accesoHijo) {
+                permisosDesviados.push(accesoHijo);
+            }
+        } else if (accesoPadre.rol !== accesoHijo.rol ||
+            accesoPadre.permiteDescubrimiento !== accesoHijo.permiteDescubrimiento ||
+            accesoPadre.expiracion !== accesoHijo.expiracion) {
             diferenciasDetectadas = true;
+            permisosDesviados.push(accesoHijo);
         }
     });
 
-    // 2. Evaluar reglas de publicacion general
-    if (conjuntoPadre.accesoPublico !== conjuntoHijo.accesoPublico || conjuntoPadre.accesoDominio !== conjuntoHijo.accesoDominio) {
-        diferenciasDetectadas = true;
+    return { diferenciasDetectadas: diferenciasDetectadas, permisosDesviados: permisosDesviados };
+}
+
+/**
+ * Compara dos conjuntos de permisos y formatea las diferencias detectadas para su encolamiento.
+ * Además de los accesos desviados (ver "detectarPermisosDesviados"), cuenta como diferencia cualquier ajuste
+ * de uso compartido que merezca revisión (ver "evaluarAjustesUsoCompartido" en API_UsoCompartido.js).
+ * @param {Object} conjuntoPadre - Permisos de la carpeta/unidad base.
+ * @param {Object} conjuntoHijo - Permisos del archivo/carpeta interno a evaluar.
+ * @param {string} ruta - Ruta amigable del archivo o carpeta.
+ * @param {string} url - Enlace URL al archivo o carpeta.
+ * @param {string} tipoItem - Denominación en texto (ej. "Carpeta", "Archivo").
+ * @param {string} dominioOrganizacion - El dominio principal de la cuenta con la que se ejecuta (texto).
+ * @param {string} idElemento - ID de Drive del archivo o carpeta evaluado (necesario para la remediación).
+ * @param {Array} [hallazgosAdicionales] - Otros { tipoRiesgo, peso } que siempre cuentan como hallazgo (ej. destinos de accesos directos).
+ * @return {Array|null} Retorna el arreglo de la fila `[ruta, url, tipo, usuariosTexto, tipoRiesgo, severidad, idElemento, permisosPadreJSON,
+ * permisosElementoJSON, ajustesTexto, destinoAccesoDirecto]` si hubo hallazgos, o null si todo está en orden.
+ */
+function registrarDiferenciasPermisos(conjuntoPadre, conjuntoHijo, ruta, url, tipoItem, dominioOrganizacion, idElemento, hallazgosAdicionales) {
+    const { diferenciasDetectadas, permisosDesviados } = detectarPermisosDesviados(conjuntoPadre, conjuntoHijo);
+    const hallazgosAjustes = evaluarAjustesUsoCompartido(conjuntoPadre, conjuntoHijo, permisosDesviados, dominioOrganizacion); // API_UsoCompartido.js
+    const adicionales = hallazgosAdicionales || [];
+
+    if (!diferenciasDetectadas && hallazgosAjustes.length === 0 && adicionales.length === 0) {
+        return null;
     }
 
-    // Escribir solo si se detectó alteración respecto a su carpeta padre
-    if (diferenciasDetectadas) {
-        Logger.log(`-> Se encontraron diferencias de permisos en: ${ruta}`);
+    Logger.log(`-> Se encontraron diferencias de permisos en: ${ruta}`);
 
-        const listaUsuariosRoles = [];
+    const listaUsuariosRoles = conjuntoHijo.permisos.map(permiso => describirPermiso(permiso));
+    const usuariosTexto = listaUsuariosRoles.length > 0 ? listaUsuariosRoles.join(', ') : `Sin permisos visibles (el acceso de ${dominioOrganizacion} fue restringido respecto al padre)`;
 
-        // Nivel público o de organización entera
-        if (conjuntoHijo.accesoPublico !== 'Ninguno') {
-            listaUsuariosRoles.push(`Público (Cualquiera con enlace) - ${conjuntoHijo.accesoPublico}`);
-        }
-        if (conjuntoHijo.accesoDominio !== 'Ninguno') {
-            listaUsuariosRoles.push(`Dominio (${dominioOrganizacion}) - ${conjuntoHijo.accesoDominio}`);
+    const riesgo = calcularRiesgoHallazgo(permisosDesviados, dominioOrganizacion, hallazgosAjustes.concat(adicionales)); // API_Riesgo.js
+
+    // Se guardan ambos conjuntos junto al hallazgo: el del padre para remediar y el propio para comparar corridas
+    return [ruta, url, tipoItem, usuariosTexto, riesgo.tipoRiesgo, riesgo.severidad, idElemento, JSON.stringify(conjuntoPadre), JSON.stringify(conjuntoHijo), describirAjustesUsoCompartido(hallazgosAjustes), ''];
+}
+
+/**
+ * Lista todas las Unidades Compartidas del dominio como administrador, recorriendo todas las páginas.
+ * @param {RegExp|null} patronNombre - Filtro opcional sobre el nombre de la unidad.
+ * @return {Array} Lista de objetos { id, name } ordenada por nombre.
+ */
+function listarUnidadesCompartidas(patronNombre) {
+    const unidades = [];
+    let tokenPagina;
+
+    do {
+        const parametros = {
+            useDomainAdminAccess: true,
+            pageSize: 100,
+            fields: 'nextPageToken, drives(id, name)'
+        };
+        if (tokenPagina) {
+            parametros.pageToken = tokenPagina;
         }
 
-        // Nivel usuarios o grupos
-        conjuntoHijo.editores.forEach(correo => {
-            listaUsuariosRoles.push(`${correo} - Editor`);
+        const respuesta = Drive.Drives.list(parametros);
+        (respuesta.drives || []).forEach(unidad => {
+            if (!patronNombre || patronNombre.test(unidad.name)) {
+                unidades.push({ id: unidad.id, name: unidad.name });
+            }
         });
+        tokenPagina = respuesta.nextPageToken;
+    } while (tokenPagina);
 
-        conjuntoHijo.visualizadores.forEach(correo => {
-            listaUsuariosRoles.push(`${correo} - Visualizador`);
-        });
+    return unidades.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Determina qué tipo de raíz representa un ID: la raíz de una Unidad Compartida, una subcarpeta dentro
+ * de una Unidad Compartida o una carpeta de "Mi unidad". Para Mi unidad también devuelve los propietarios.
+ * @param {string} idRaiz - ID de la unidad o carpeta que se desea auditar.
+ * @return {Object} { tipoRaiz: 'UNIDAD'|'SUBCARPETA_UNIDAD'|'MI_UNIDAD', nombre: string, propietarios: Array<{ correo, nombre }>,
+ * idDrive: string|null } donde idDrive es la Unidad Compartida que la contiene (null en Mi unidad).
+ * @throws {Error} Si el ID no es accesible o no corresponde a una carpeta.
+ */
+function resolverTipoRaiz(idRaiz) {
+    // 1. ¿Es la raíz de una Unidad Compartida? (como administrador, aunque no se sea miembro)
+    try {
+        const infoUnidad = Drive.Drives.get(idRaiz, { useDomainAdminAccess: true });
+        return { tipoRaiz: 'UNIDAD', nombre: infoUnidad.name, propietarios: [], idDrive: idRaiz };
+    } catch (e) { /* No es una Unidad Compartida: se intenta como carpeta */ }
 
-        const usuariosTexto = listaUsuariosRoles.length > 0 ? listaUsuariosRoles.join(', ') : 'Permisos solo por herencia (pero presenta diferencias en configuración de enlace)';
+    // 2. Carpeta dentro de una Unidad Compartida o de Mi unidad
+    const infoCarpeta = Drive.Files.get(idRaiz, {
+        supportsAllDrives: true,
+        fields: 'id, name, mimeType, driveId, owners(emailAddress, displayName)'
+    });
+    if (infoCarpeta.mimeType !== MimeType.FOLDER) {
+        throw new Error(`El ID corresponde a un archivo (${infoCarpeta.mimeType}), no a una carpeta ni a una Unidad Compartida.`);
+    }
 
-        hojaReporte.appendRow([ruta, url, tipoItem, usuariosTexto]);
+    if (infoCarpeta.driveId) {
+        return { tipoRaiz: 'SUBCARPETA_UNIDAD', nombre: infoCarpeta.name, propietarios: [], idDrive: infoCarpeta.driveId };
     }
+    return {
+        tipoRaiz: 'MI_UNIDAD',
+        nombre: infoCarpeta.name,
+        propietarios: (infoCarpeta.owners || []).map(propietario => ({ correo: propietario.emailAddress, nombre: propietario.displayName })),
+        idDrive: null
+    };
+}
+
+/**
+ * Desglosa un elemento con diferencias en una fila por principal y rol (formato normalizado, filtrable).
+ * Incluye todos los accesos actuales del elemento, con rol "Sin acceso" los del padre que el elemento ya no tiene,
+ * y una fila sin rol por cada ajuste de uso compartido que merece revisión (Tipo Principal "ajuste").
+ * @param {Object} conjuntoPadre - Permisos de la carpeta/unidad base.
+ * @param {Object} conjuntoHijo - Permisos del archivo/carpeta evaluado.
+ * @param {string} ruta - Ruta amigable del elemento.
+ * @param {string} url - Enlace URL al elemento.
+ * @param {string} tipoMime - Tipo MIME del elemento.
+ * @param {string} idElemento - ID de Drive del elemento.
+ * @param {string} dominioOrganizacion - Dominio principal de la organización.
+ * @param {Array} [hallazgosAdicionales] - Otros { tipoRiesgo, peso, principal } con fila propia (Tipo Principal "acceso directo").
+ * @return {Array} Filas con el formato de CABECERAS_REPORTE_NORMALIZADO.
+ */
+function construirFilasNormalizadas(conjuntoPadre, conjuntoHijo, ruta, url, tipoMime, idElemento, dominioOrganizacion, hallazgosAdicionales) {
+    const etiquetaRol = rol => (rol ? (ETIQUETAS_ROLES_DRIVE[rol] || rol) : 'Sin acceso');
+    const filas = [];
+
+    conjuntoHijo.permisos.forEach(permiso => {
+        const permisoPadre = obtenerNivelAccesoUsuario(permiso.clave, conjuntoPadre);
+        const riesgo = evaluarRiesgoPermiso(permiso, dominioOrganizacion); // API_Riesgo.js
+        filas.push([
+            idElemento,
+            ruta,
+            tipoMime,
+            permiso.principal,
+            permiso.tipo,
+            etiquetaRol(permiso.rol),
+            describirOrigenPermiso(permiso),
+            etiquetaRol(permisoPadre ? permisoPadre.rol : ''),
+            riesgo.tipoRiesgo,
+            NIVELES_SEVERIDAD[riesgo.peso],
+            url
+        ]);
+    });
+
+    conjuntoPadre.permisos.forEach(permisoPadre => {
+        if (obtenerNivelAccesoUsuario(permisoPadre.clave, conjuntoHijo)) {
+            return;
+        }
+        filas.push([idElemento, ruta, tipoMime, permisoPadre.principal, permisoPadre.tipo, 'Sin acceso', 'Restringido en el elemento', etiquetaRol(permisoPadre.rol), 'Restricción de Acceso', NIVELES_SEVERIDAD[0], url]);
+    });
+
+    const { permisosDesviados } = detectarPermisosDesviados(conjuntoPadre, conjuntoHijo);
+    evaluarAjustesUsoCompartido(conjuntoPadre, conjuntoHijo, permisosDesviados, dominioOrganizacion).forEach(hallazgo => { // API_UsoCompartido.js
+        filas.push([idElemento, ruta, tipoMime, hallazgo.principal || '(elemento)', 'ajuste', '', 'Ajuste de uso compartido', '', hallazgo.tipoRiesgo, NIVELES_SEVERIDAD[hallazgo.peso], url]);
+    });
+    (hallazgosAdicionales || []).forEach(hallazgo => {
+        filas.push([idElemento, ruta, tipoMime, hallazgo.principal, 'acceso directo', '', 'Destino de acceso directo', '', hallazgo.tipoRiesgo, NIVELES_SEVERIDAD[hallazgo.peso], url]);
+    });
+
+    return filas;
 }
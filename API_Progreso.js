@@ -0,0 +1,105 @@
+/**
+ * Archivo: API_Progreso.js
+ * Propósito: Progreso compartido entre el worker y el panel lateral. El worker publica sus contadores en las
+ * propiedades del script y consulta si se pidió cancelar; el panel lee ese estado y la profundidad de la cola.
+ */
+
+/**
+ * Lee el progreso acumulado de la auditoría actual (todas sus ejecuciones).
+ * @return {Object} { estado, carpetas, archivos, hallazgos, rutaActual, inicioTramoMS, mensaje, actualizado }.
+ */
+function leerProgresoAuditoria() {
+    const progresoBase = { estado: 'SIN_AUDITORIA', carpetas: 0, archivos: 0, hallazgos: 0, rutaActual: '', inicioTramoMS: 0, mensaje: '', actualizado: '' };
+    const guardado = PropertiesService.getScriptProperties().getProperty(CLAVE_PROGRESO_AUDITORIA);
+    if (!guardado) {
+        return progresoBase;
+    }
+    try {
+        return Object.assign(progresoBase, JSON.parse(guardado));
+    } catch (error) {
+        Logger.log(`[Progreso] Estado guardado ilegible, se reinicia: ${error.message}`);
+        return progresoBase;
+    }
+}
+
+/**
+ * Guarda los cambios de progreso sobre el estado ya publicado.
+ * @param {Object} cambios - Campos de "leerProgresoAuditoria" a sobrescribir.
+ * @return {Object} El progreso resultante.
+ */
+function publicarProgresoAuditoria(cambios) {
+    const progreso = Object.assign(leerProgresoAuditoria(), cambios, { actualizado: new Date().toISOString() });
+    PropertiesService.getScriptProperties().setProperty(CLAVE_PROGRESO_AUDITORIA, JSON.stringify(progreso));
+    return progreso;
+}
+
+/**
+ * Deja el progreso en cero para una auditoría nueva y descarta cualquier cancelación pendiente.
+ */
+function reiniciarProgresoAuditoria() {
+    PropertiesService.getScriptProperties().deleteProperty(CLAVE_PROGRESO_AUDITORIA);
+    retirarSolicitudCancelacion();
+    publicarProgresoAuditoria({ estado: 'EN_COLA' });
+}
+
+/**
+ * Pide al worker que se detenga en su siguiente punto de control seguro. Se invoca desde el panel lateral.
+ * Si ningún tramo tiene la cola (auditoría en pausa o esperando su disparador), nadie atendería la solicitud:
+ * se cancela de inmediato, apagando el modo desatendido.
+ * @return {string} Mensaje para el panel.
+ */
+function solicitarCancelacionAuditoria() {
+    const mensajeCancelada = 'Auditoría cancelada. La cola se conservó: "Continuar Auditoría" la retoma y "Limpiar Estado" la descarta.';
+    const canceladaAhora = ejecutarConBloqueoCola(() => { // API_Cola.js
+        desactivarModoDesatendido(); // API_Disparadores.js
+        retirarSolicitudCancelacion();
+        publicarProgresoAuditoria({ estado: 'CANCELADA', mensaje: mensajeCancelada });
+    }, 0);
+    if (canceladaAhora) {
+        Logger.log('[Progreso] Cancelación aplicada desde el panel: ningún tramo estaba procesando la cola.');
+        return mensajeCancelada;
+    }
+
+    PropertiesService.getScriptProperties().setProperty(CLAVE_CANCELACION_AUDITORIA, 'true');
+    Logger.log('[Progreso] Cancelación solicitada desde el panel.');
+    return 'Cancelación solicitada. La auditoría se detendrá en el siguiente punto de control.';
+}
+
+/**
+ * Retira la solicitud de cancelación (al cancelar efectivamente, al reanudar a mano o al limpiar el estado).
+ */
+function retirarSolicitudCancelacion() {
+    PropertiesService.getScriptProperties().deleteProperty(CLAVE_CANCELACION_AUDITORIA);
+}
+
+/**
+ * Crea el verificador de cancelación del worker. Consulta las propiedades como mucho cada
+ * INTERVALO_CONSULTA_CANCELACION_MS y, una vez vista la solicitud, la recuerda durante toda la ejecución.
+ * @return {Function} Función sin parámetros que devuelve true si se pidió cancelar.
+ */
+function crearVerificadorCancelacion() {
+    let ultimaConsultaMS = 0;
+    let cancelada = false;
+    return () => {
+        const ahoraMS = new Date().getTime();
+        if (!cancelada && ahoraMS - ultimaConsultaMS >= INTERVALO_CONSULTA_CANCELACION_MS) {
+            ultimaConsultaMS = ahoraMS;
+            cancelada = PropertiesService.getScriptProperties().getProperty(CLAVE_CANCELACION_AUDITORIA) === 'true';
+        }
+        return cancelada;
+    };
+}
+
+/**
+ * Estado que muestra el panel lateral: progreso publicado por el worker, profundidad de la cola y presupuesto de tiempo.
+ * @return {Object} Progreso (ver "leerProgresoAuditoria") con además { carpetasEnCola, presupuestoMS, ahoraMS, cancelacionSolicitada }.
+ */
+function obtenerEstadoPanel() {
+    const hojaDeCola = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(NOMBRE_HOJA_COLA);
+    return Object.assign(leerProgresoAuditoria(), {
+        carpetasEnCola: hojaDeCola ? Math.max(hojaDeCola.getLastRow() - 1, 0) : 0,
+        presupuestoMS: obtenerAjuste('minutosMaximosEjecucion') * 60 * 1000, // Cfg_Configuracion.js
+        ahoraMS: new Date().getTime(),
+        cancelacionSolicitada: PropertiesService.getScriptProperties().getProperty(CLAVE_CANCELACION_AUDITORIA) === 'true'
+    });
+}
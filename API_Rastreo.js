@@ -0,0 +1,57 @@
+/**
+ * Archivo: API_Rastreo.js
+ * Propósito: Lectura paginada del contenido de una carpeta con Drive.Files.list, pidiendo en la misma
+ * llamada los permisos de cada hijo para evitar una consulta por archivo siempre que la API lo permita.
+ */
+
+/**
+ * Lee una página de hijos directos (archivos y carpetas, sin papelera) de una carpeta.
+ * En Unidades Compartidas la API no rellena `permissions`; en su lugar se pide `hasAugmentedPermissions`
+ * para saber si el hijo tiene accesos propios o solo hereda los de su carpeta. También se piden los ajustes
+ * de uso compartido del hijo (acceso limitado y copia restringida, ver API_UsoCompartido.js) y, en los accesos
+ * directos, el ID de su destino (ver API_AccesosDirectos.js).
+ * Dentro de una Unidad Compartida la consulta se limita a ese corpus (`corpora: 'drive'`), donde la búsqueda es completa:
+ * si aun así Drive avisa `incompleteSearch`, la página se rechaza para que la carpeta quede como error reintentable en
+ * lugar de darse por recorrida con hijos de menos. En Mi unidad se consulta el corpus del usuario (`corpora: 'user'`), y sin
+ * unidad conocida (filas de cola anteriores a este parámetro) se mantiene `allDrives`.
+ * @param {string} idCarpeta - ID de la carpeta a recorrer.
+ * @param {string|null} tokenPagina - Token devuelto por la página anterior, o null para la primera.
+ * @param {string|null} [idDrive] - Unidad Compartida que contiene la carpeta; null en Mi unidad.
+ * @return {Object} { elementos: Array<File>, tokenSiguiente: string|null }.
+ * @throws {Error} Si Drive informa que la búsqueda dentro de una Unidad Compartida quedó incompleta.
+ */
+function listarPaginaHijosCarpeta(idCarpeta, tokenPagina, idDrive) {
+    const parametros = {
+        q: `'${idCarpeta}' in parents and trashed = false`,
+        corpora: idDrive ? 'drive' : (idDrive === null ? 'user' : 'allDrives'),
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        pageSize: TAMANO_PAGINA_RASTREO,
+        fields: `nextPageToken, incompleteSearch, files(${CAMPOS_ELEMENTO_RASTREO})`
+    };
+    if (idDrive) {
+        parametros.driveId = idDrive;
+    }
+    if (tokenPagina) {
+        parametros.pageToken = tokenPagina;
+    }
+
+    const respuesta = Drive.Files.list(parametros);
+    if (idDrive && respuesta.incompleteSearch) {
+        throw new Error(`Drive devolvió un listado incompleto de la carpeta ${idCarpeta} (incompleteSearch): no se da por recorrida.`);
+    }
+    return {
+        elementos: respuesta.files || [],
+        tokenSiguiente: respuesta.nextPageToken || null
+    };
+}
+
+/**
+ * Lee un solo elemento con los mismos campos que una página de "listarPaginaHijosCarpeta", más `trashed`, para
+ * evaluarlo fuera de un listado (por ejemplo, los elementos cambiados de una auditoría incremental).
+ * @param {string} idElemento - ID del archivo o carpeta.
+ * @return {File} Recurso con CAMPOS_ELEMENTO_RASTREO y `trashed`.
+ */
+function leerElementoRastreoDrive(idElemento) {
+    return Drive.Files.get(idElemento, { supportsAllDrives: true, fields: `${CAMPOS_ELEMENTO_RASTREO}, trashed` });
+}
@@ -0,0 +1,40 @@
+/**
+ * Archivo: API_Reintentos.js
+ * Propósito: Reintento con espera exponencial para los errores transitorios de Drive y Sheets (límites de
+ * cuota por minuto, errores internos del servicio, tiempos de espera agotados).
+ */
+
+/**
+ * Indica si un error es transitorio y vale la pena reintentar la operación.
+ * @param {Error} error - Error lanzado por un servicio de Apps Script.
+ * @return {boolean} true si el mensaje coincide con PATRON_ERROR_TRANSITORIO.
+ */
+function esErrorTransitorio(error) {
+    return PATRON_ERROR_TRANSITORIO.test(String(error && error.message));
+}
+
+/**
+ * Ejecuta una operación y la reintenta con espera exponencial mientras falle por un error transitorio,
+ * hasta MAXIMO_INTENTOS_TRANSITORIOS intentos. Los errores permanentes se relanzan de inmediato.
+ * @param {Function} operacion - Función sin parámetros a ejecutar.
+ * @param {string} descripcion - Descripción breve para el registro (ej. "listar hijos de <ID>").
+ * @return {*} El resultado de la operación.
+ * @throws {Error} El último error, con `intentos` (cantidad de intentos hechos) y `transitorio` (boolean).
+ */
+function ejecutarConReintentos(operacion, descripcion) {
+    for (let intento = 1; ; intento++) {
+        try {
+            return operacion();
+        } catch (error) {
+            const transitorio = esErrorTransitorio(error);
+            if (!transitorio || intento >= MAXIMO_INTENTOS_TRANSITORIOS) {
+                error.intentos = intento;
+                error.transitorio = transitorio;
+                throw error;
+            }
+            const esperaMS = ESPERA_BASE_REINTENTO_MS * Math.pow(2, intento - 1) + Math.floor(Math.random() * ESPERA_BASE_REINTENTO_MS);
+            Logger.log(`[Reintento] ${descripcion}: intento ${intento} falló (${error.message}). Nuevo intento en ${esperaMS} ms.`);
+            Utilities.sleep(esperaMS);
+        }
+    }
+}
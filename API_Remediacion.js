@@ -0,0 +1,206 @@
+/**
+ * Archivo: API_Remediacion.js
+ * Propósito: Calcula y aplica las correcciones que devuelven a un elemento los permisos de su carpeta padre,
+ * dejando cada cambio anotado en el registro de deshacer para poder restaurarlo después.
+ */
+
+/**
+ * Construye el plan de remediación (dry-run) a partir de los hallazgos de una auditoría. Solo propone
+ * eliminar accesos que el padre no tiene o degradar roles superiores a los del padre; nunca otorga accesos nuevos.
+ * Los permisos heredados, los de propietario y los de la cuenta que ejecuta quedan fuera del plan, igual que los
+ * accesos directos: su destino puede vivir fuera de la unidad auditada y se revisa a mano.
+ * Un mismo elemento con varias filas en el reporte (por ejemplo, repetidas por un tramo que se volvió a procesar)
+ * se evalúa una sola vez, y cada acceso (elemento y principal) entra al plan una sola vez.
+ * @param {Array} hallazgos - Resultado de "leerHallazgosDeCarpeta" (API_SalidaDrive.js).
+ * @param {number} tiempoEmpezadoMS - Inicio de la planificación, para respetar el ajuste "minutosMaximosEjecucion".
+ * @return {Object} { acciones: Array, completo: boolean } donde completo es false si el tiempo se agotó antes de revisar todo.
+ */
+function planificarRemediacion(hallazgos, tiempoEmpezadoMS) {
+    const acciones = [];
+    const elementosEvaluados = {};
+    const accesosPlanificados = {};
+    const tiempoMaximoMS = obtenerAjuste('minutosMaximosEjecucion') * 60 * 1000; // Cfg_Configuracion.js
+    const correoEjecutor = Session.getEffectiveUser().getEmail().toLowerCase();
+
+    // Los peores hallazgos primero: si el tiempo se agota, lo crítico ya quedó planificado
+    const hallazgosOrdenados = hallazgos
+        .filter(hallazgo => hallazgo.idElemento && hallazgo.permisosPadreJSON && !hallazgo.destinoAccesoDirecto)
+        .sort((a, b) => NIVELES_SEVERIDAD.indexOf(b.severidad) - NIVELES_SEVERIDAD.indexOf(a.severidad));
+
+    for (let i = 0; i < hallazgosOrdenados.length; i++) {
+        if (new Date().getTime() - tiempoEmpezadoMS > tiempoMaximoMS) {
+            return { acciones: acciones, completo: false };
+        }
+
+        const hallazgo = hallazgosOrdenados[i];
+        if (elementosEvaluados[hallazgo.idElemento]) {
+            continue; // Ya se evaluó con su fila más severa (vienen ordenadas)
+        }
+        elementosEvaluados[hallazgo.idElemento] = true;
+        let conjuntoPadre;
+        let permisosActuales;
+        try {
+            conjuntoPadre = JSON.parse(hallazgo.permisosPadreJSON);
+            permisosActuales = listarPermisosDrive(hallazgo.idElemento, false); // API_Permisos.js
+        } catch (error) {
+            Logger.log(`[Remediación] No se pudo evaluar ${hallazgo.ruta} (${hallazgo.idElemento}): ${error.message}`);
+            continue;
+        }
+
+        permisosActuales.forEach(permisoCrudo => {
+            const permiso = normalizarPermiso(permisoCrudo);
+            if (permiso.rol === 'owner' || permiso.heredado === true || permiso.principal === correoEjecutor) {
+                return;
+            }
+
+            const permisoPadre = obtenerNivelAccesoUsuario(permiso.clave, conjuntoPadre);
+            let accion = null;
+            let rolObjetivo = '';
+            if (!permisoPadre) {
+                accion = 'Eliminar';
+            } else if (compararRangoRoles(permiso.rol, permisoPadre.rol) > 0) {
+                accion = 'Degradar';
+                rolObjetivo = permisoPadre.rol;
+            }
+
+            const claveAcceso = `${hallazgo.idElemento}|${permiso.clave}`;
+            if (accion && !accesosPlanificados[claveAcceso]) {
+                accesosPlanificados[claveAcceso] = true;
+                acciones.push({
+                    ruta: hallazgo.ruta,
+                    idElemento: hallazgo.idElemento,
+                    accion: accion,
+                    idPermiso: permisoCrudo.id,
+                    permisoCrudo: permisoCrudo,
+                    principal: permiso.principal,
+                    tipo: permiso.tipo,
+                    rolActual: permiso.rol,
+                    rolObjetivo: rolObjetivo,
+                    severidad: hallazgo.severidad
+                });
+            }
+        });
+    }
+
+    return { acciones: acciones, completo: true };
+}
+
+/**
+ * Aplica el plan de remediación. Cada cambio se anota como "Pendiente" en el registro de deshacer antes de
+ * tocar Drive y luego se marca "Aplicado" o con el error, para que una interrupción no deje cambios sin rastro.
+ * @param {Array} acciones - Acciones devueltas por "planificarRemediacion".
+ * @param {Sheet} hojaRegistro - Hoja del registro de deshacer (NOMBRE_HOJA_REGISTRO_DESHACER).
+ * @param {number} tiempoEmpezadoMS - Marca de inicio de la ejecución.
+ * @return {Object} { aplicadas: number, fallidas: number, pendientes: number }.
+ */
+function aplicarRemediacion(acciones, hojaRegistro, tiempoEmpezadoMS) {
+    const resumen = { aplicadas: 0, fallidas: 0, pendientes: 0 };
+    const tiempoMaximoMS = obtenerAjuste('minutosMaximosEjecucion') * 60 * 1000;
+    const columnaEstado = CABECERAS_REGISTRO_DESHACER.indexOf('Estado') + 1;
+
+    acciones.forEach(accion => {
+        if (new Date().getTime() - tiempoEmpezadoMS > tiempoMaximoMS) {
+            resumen.pendientes += 1;
+            return;
+        }
+
+        hojaRegistro.appendRow([
+            new Date(),
+            accion.idElemento,
+            accion.ruta,
+            accion.accion,
+            accion.idPermiso,
+            accion.principal,
+            accion.rolActual,
+            accion.rolObjetivo,
+            JSON.stringify(accion.permisoCrudo),
+            'Pendiente'
+        ]);
+        const filaRegistro = hojaRegistro.getLastRow();
+
+        try {
+            if (accion.accion === 'Eliminar') {
+                Drive.Permissions.remove(accion.idElemento, accion.idPermiso, { supportsAllDrives: true });
+            } else {
+                Drive.Permissions.update({ role: accion.rolObjetivo }, accion.idElemento, accion.idPermiso, { supportsAllDrives: true });
+            }
+            hojaRegistro.getRange(filaRegistro, columnaEstado).setValue('Aplicado');
+            resumen.aplicadas += 1;
+        } catch (error) {
+            Logger.log(`[Remediación] Fallo al ${accion.accion.toLowerCase()} ${accion.principal} en ${accion.ruta}: ${error.message}`);
+            hojaRegistro.getRange(filaRegistro, columnaEstado).setValue(`Error: ${error.message}`);
+            resumen.fallidas += 1;
+        }
+    });
+
+    return resumen;
+}
+
+/**
+ * Revierte, del más reciente al más antiguo, todos los cambios marcados como "Aplicado" en el registro de deshacer:
+ * vuelve a crear los permisos eliminados y devuelve su rol original a los degradados.
+ * @param {Sheet} hojaRegistro - Hoja del registro de deshacer.
+ * @return {Object} { restauradas: number, fallidas: number }.
+ */
+function restaurarDesdeRegistroDeshacer(hojaRegistro) {
+    const resumen = { restauradas: 0, fallidas: 0 };
+    if (hojaRegistro.getLastRow() < 2) {
+        return resumen;
+    }
+
+    const columna = nombre => CABECERAS_REGISTRO_DESHACER.indexOf(nombre);
+    const filas = hojaRegistro.getRange(2, 1, hojaRegistro.getLastRow() - 1, CABECERAS_REGISTRO_DESHACER.length).getValues();
+
+    for (let i = filas.length - 1; i >= 0; i--) {
+        const fila = filas[i];
+        // Incluye los que fallaron en un intento de restauración previo ("Aplicado (Error al restaurar...)")
+        if (!String(fila[columna('Estado')]).startsWith('Aplicado')) {
+            continue;
+        }
+
+        const idElemento = fila[columna('ID Elemento')];
+        const numeroFila = i + 2;
+        try {
+            const permisoOriginal = JSON.parse(fila[columna('Permiso Original (JSON)')]);
+            if (fila[columna('Acción')] === 'Eliminar') {
+                const opcionesCreacion = { supportsAllDrives: true };
+                if (permisoOriginal.type === 'user' || permisoOriginal.type === 'group') {
+                    opcionesCreacion.sendNotificationEmail = false; // Restaurar sin avisar de nuevo al destinatario
+                }
+                Drive.Permissions.create(construirRecursoPermiso(permisoOriginal), idElemento, opcionesCreacion);
+            } else {
+                Drive.Permissions.update({ role: permisoOriginal.role }, idElemento, fila[columna('ID Permiso')], { supportsAllDrives: true });
+            }
+            hojaRegistro.getRange(numeroFila, columna('Estado') + 1).setValue('Restaurado');
+            resumen.restauradas += 1;
+        } catch (error) {
+            Logger.log(`[Remediación] Fallo al restaurar ${fila[columna('Principal')]} en ${fila[columna('Ruta')]}: ${error.message}`);
+            hojaRegistro.getRange(numeroFila, columna('Estado') + 1).setValue(`Aplicado (Error al restaurar: ${error.message})`);
+            resumen.fallidas += 1;
+        }
+    }
+
+    return resumen;
+}
+
+/**
+ * Arma el cuerpo de Drive.Permissions.create a partir del recurso original guardado en el registro.
+ * @param {Object} permisoOriginal - Recurso `Permission` crudo tal como se leyó antes de eliminarlo.
+ * @return {Object} Recurso con solo los campos que la API acepta al crear.
+ */
+function construirRecursoPermiso(permisoOriginal) {
+    const recurso = { type: permisoOriginal.type, role: permisoOriginal.role };
+    if (permisoOriginal.emailAddress) {
+        recurso.emailAddress = permisoOriginal.emailAddress;
+    }
+    if (permisoOriginal.domain && permisoOriginal.type === 'domain') {
+        recurso.domain = permisoOriginal.domain;
+    }
+    if (permisoOriginal.type === 'anyone' || permisoOriginal.type === 'domain') {
+        recurso.allowFileDiscovery = permisoOriginal.allowFileDiscovery === true;
+    }
+    if (permisoOriginal.expirationTime) {
+        recurso.expirationTime = permisoOriginal.expirationTime;
+    }
+    return recurso;
+}
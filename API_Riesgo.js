@@ -0,0 +1,69 @@
+/**
+ * Archivo: API_Riesgo.js
+ * Propósito: Clasifica cada desviación de permisos según su exposición (público, externo, socio,
+ * grupo o interno) y le asigna una severidad para priorizar la revisión de hallazgos.
+ */
+
+/**
+ * Determina la categoría de riesgo de un permiso respecto al dominio de la organización.
+ * @param {Object} permiso - Permiso normalizado (ver "normalizarPermiso" en API_Permisos.js).
+ * @param {string} dominioOrganizacion - Dominio principal de la cuenta que ejecuta la auditoría.
+ * @return {string} Una de las categorías definidas en MATRIZ_SEVERIDAD_RIESGO.
+ */
+function clasificarTipoRiesgo(permiso, dominioOrganizacion) {
+    if (permiso.tipo === 'anyone') {
+        return 'Enlace Público';
+    }
+
+    const dominio = (permiso.dominio || '').toLowerCase();
+    const esInterno = !dominio || dominio === (dominioOrganizacion || '').toLowerCase();
+
+    if (!esInterno) {
+        return obtenerAjuste('dominiosSociosConfianza').some(socio => socio.toLowerCase() === dominio) ? 'Dominio Socio' : 'Dominio Externo';
+    }
+    if (permiso.tipo === 'group') {
+        return 'Grupo';
+    }
+    return 'Usuario Interno'; // Usuarios y concesiones al dominio propio
+}
+
+/**
+ * Calcula la categoría y el peso de severidad de un permiso concreto.
+ * @param {Object} permiso - Permiso normalizado.
+ * @param {string} dominioOrganizacion - Dominio principal de la organización.
+ * @return {Object} { tipoRiesgo: string, peso: number } donde el peso indexa NIVELES_SEVERIDAD.
+ */
+function evaluarRiesgoPermiso(permiso, dominioOrganizacion) {
+    const tipoRiesgo = clasificarTipoRiesgo(permiso, dominioOrganizacion);
+    const permiteEscritura = compararRangoRoles(permiso.rol, 'writer') >= 0; // API_Permisos.js
+    const matriz = MATRIZ_SEVERIDAD_RIESGO[tipoRiesgo];
+
+    return {
+        tipoRiesgo: tipoRiesgo,
+        peso: permiteEscritura ? matriz.escritura : matriz.lectura
+    };
+}
+
+/**
+ * Resume el riesgo de un hallazgo a partir de los permisos que se desvían del padre y de los ajustes de uso
+ * compartido que merecen revisión: el peor de todos manda; a igual peso prevalece la exposición del permiso.
+ * @param {Array} permisosDesviados - Permisos normalizados del hijo que no coinciden con el padre.
+ * @param {string} dominioOrganizacion - Dominio principal de la organización.
+ * @param {Array} [hallazgosAjustes] - Resultado de "evaluarAjustesUsoCompartido" (API_UsoCompartido.js).
+ * @return {Object} { tipoRiesgo: string, severidad: string } listo para escribirse en el reporte.
+ */
+function calcularRiesgoHallazgo(permisosDesviados, dominioOrganizacion, hallazgosAjustes) {
+    let peorRiesgo = { tipoRiesgo: 'Restricción de Acceso', peso: 0 };
+
+    const riesgos = permisosDesviados.map(permiso => evaluarRiesgoPermiso(permiso, dominioOrganizacion)).concat(hallazgosAjustes || []);
+    riesgos.forEach(riesgo => {
+        if (riesgo.peso > peorRiesgo.peso || (peorRiesgo.tipoRiesgo === 'Restricción de Acceso' && riesgo.tipoRiesgo !== peorRiesgo.tipoRiesgo)) {
+            peorRiesgo = riesgo;
+        }
+    });
+
+    return {
+        tipoRiesgo: peorRiesgo.tipoRiesgo,
+        severidad: NIVELES_SEVERIDAD[peorRiesgo.peso]
+    };
+}
@@ -6,63 +6,547 @@
 
 /**
  * Crea una carpeta padre en la raíz del usuario que ejecuta el script para guardar todos los reportes particionados.
+ * La descripción de la carpeta guarda los metadatos de la corrida (JSON) para poder ubicarla y compararla después.
  * @param {string} nombreUnidad Auditada.
+ * @param {string} idUnidad - ID de la Unidad Compartida o carpeta auditada.
+ * @param {Object} [metadatosFuente] - Datos del origen que se suman a la descripción (ej. la instantánea auditada).
  * @return {string} El ID de la nueva carpeta creada en Drive.
  */
-function instanciarCarpetaMaestra(nombreUnidad) {
-    const fechaStr = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
-    const nombreCarpeta = `${PREFIJO_CARPETA_AUDITORIA} ${nombreUnidad} - ${fechaStr}`;
+function instanciarCarpetaMaestra(nombreUnidad, idUnidad, metadatosFuente) {
+    const fechaInicio = new Date();
+    const fechaStr = Utilities.formatDate(fechaInicio, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+    const nombreCarpeta = `${obtenerAjuste('prefijoCarpetaAuditoria')} ${nombreUnidad} - ${fechaStr}`;
 
     // Crea la carpeta en la raíz (Mi unidad)
     const nuevaCarpeta = DriveApp.createFolder(nombreCarpeta);
+    nuevaCarpeta.setDescription(JSON.stringify(Object.assign({ idUnidad: idUnidad, nombreUnidad: nombreUnidad, inicio: fechaInicio.toISOString() }, metadatosFuente || {})));
     return nuevaCarpeta.getId();
 }
 
+/**
+ * Lista las carpetas de auditoría existentes de una unidad, de la más reciente a la más antigua.
+ * @param {string} idUnidad - ID de la Unidad Compartida auditada.
+ * @return {Array} Lista de objetos { idCarpeta, nombre, inicio: Date, url }.
+ */
+function listarCorridasAuditoria(idUnidad) {
+    const corridas = [];
+    const carpetas = DriveApp.searchFolders(`title contains '${obtenerAjuste('prefijoCarpetaAuditoria')}' and trashed = false`);
+
+    while (carpetas.hasNext()) {
+        const carpeta = carpetas.next();
+        let metadatos;
+        try {
+            metadatos = JSON.parse(carpeta.getDescription() || '{}');
+        } catch (e) {
+            continue; // Carpetas de corridas antiguas sin metadatos
+        }
+        if (metadatos.idUnidad !== idUnidad) {
+            continue;
+        }
+        corridas.push({
+            idCarpeta: carpeta.getId(),
+            nombre: carpeta.getName(),
+            inicio: new Date(metadatos.inicio),
+            url: carpeta.getUrl()
+        });
+    }
+
+    return corridas.sort((a, b) => b.inicio.getTime() - a.inicio.getTime());
+}
+
+/**
+ * Devuelve las cabeceras de los libros de reporte según el formato de salida de la corrida.
+ * @param {string} modoSalida - 'CONSOLIDADO' o 'NORMALIZADO' (las corridas anteriores a esta opción no lo traen).
+ * @return {Array} Las cabeceras configuradas ("cabecerasReporteNormalizado" o "cabecerasReporteConsolidado").
+ */
+function obtenerCabecerasReporte(modoSalida) {
+    return obtenerAjuste(modoSalida === 'NORMALIZADO' ? 'cabecerasReporteNormalizado' : 'cabecerasReporteConsolidado');
+}
+
+/**
+ * Crea un localizador de columnas para un libro de reporte. Cada columna se busca por su nombre original
+ * (CABECERAS_REPORTE_TECNICO o CABECERAS_REPORTE_NORMALIZADO) y, si no está, por el título configurado
+ * en la misma posición, de modo que se leen tanto libros antiguos como libros con cabeceras renombradas.
+ * @param {Array} cabecerasLibro - Primera fila del libro.
+ * @return {Function} nombreOriginal -> índice de la columna en el libro (-1 si no existe).
+ */
+function crearLocalizadorColumnas(cabecerasLibro) {
+    const equivalencias = [
+        [CABECERAS_REPORTE_TECNICO, obtenerAjuste('cabecerasReporteConsolidado')],
+        [CABECERAS_REPORTE_NORMALIZADO, obtenerAjuste('cabecerasReporteNormalizado')]
+    ];
+    return nombreOriginal => {
+        const indiceDirecto = cabecerasLibro.indexOf(nombreOriginal);
+        if (indiceDirecto >= 0) {
+            return indiceDirecto;
+        }
+        for (let i = 0; i < equivalencias.length; i++) {
+            const posicion = equivalencias[i][0].indexOf(nombreOriginal);
+            if (posicion >= 0 && cabecerasLibro.indexOf(equivalencias[i][1][posicion]) >= 0) {
+                return cabecerasLibro.indexOf(equivalencias[i][1][posicion]);
+            }
+        }
+        return -1;
+    };
+}
+
+/**
+ * Crea un detector de filas de reporte repetidas. Si un tramo muere después de escribir sus hallazgos y antes de
+ * guardar su avance en la cola, el siguiente tramo vuelve a escribirlos; quien lee los libros descarta esas copias.
+ * Dos filas son la misma si coinciden todas sus celdas; las referencias a archivo (PREFIJO_CELDA_EN_ARCHIVO) se
+ * comparan sin su ID, porque cada repetición guarda el conjunto en un archivo nuevo.
+ * @return {Function} (fila: Array) => boolean, verdadero si la fila ya se había visto.
+ */
+function crearDetectorFilasRepetidas() {
+    const huellasVistas = {};
+    return fila => {
+        const texto = JSON.stringify(fila.map(valor => (String(valor).indexOf(PREFIJO_CELDA_EN_ARCHIVO) === 0 ? PREFIJO_CELDA_EN_ARCHIVO : valor)));
+        const huella = Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, texto, Utilities.Charset.UTF_8));
+        if (huellasVistas[huella]) {
+            return true;
+        }
+        huellasVistas[huella] = true;
+        return false;
+    };
+}
+
+/**
+ * Arma la fila que deja constancia de un elemento cuyos permisos no se pudieron leer, en el formato de la corrida.
+ * @param {string} modoSalida - 'CONSOLIDADO' o 'NORMALIZADO'.
+ * @param {string} ruta - Ruta amigable del elemento.
+ * @param {string} url - Enlace URL al elemento.
+ * @param {string} tipoItem - Denominación en texto (ej. "Carpeta Plegable").
+ * @param {string} tipoMime - Tipo MIME del elemento.
+ * @param {string} idElemento - ID de Drive del elemento.
+ * @param {string} mensaje - Detalle del error.
+ * @return {Array} Fila lista para "volcarHallazgoAPaginacion".
+ */
+function construirFilaErrorLectura(modoSalida, ruta, url, tipoItem, tipoMime, idElemento, mensaje) {
+    const detalle = `Alerta de Lectura en Permisología: ${mensaje}`;
+    if (modoSalida === 'NORMALIZADO') {
+        return [idElemento, ruta, tipoMime, detalle, '', '', '', '', 'Error de Lectura', '', url];
+    }
+    return [ruta, url, tipoItem, detalle, 'Error de Lectura', '', idElemento, '', '', '', ''];
+}
+
+/**
+ * Crea el búfer en memoria donde se acumulan los hallazgos hasta el siguiente punto de control.
+ * @param {string} [idEjecucion] - Tramo al que se atribuyen los errores registrados (ver "generarIdEjecucion").
+ * @return {Object} { idEjecucion, filasPorLibro: { idSheet: Array }, totalFilas: number, particionesNuevas: Array, errores: Array }
+ * donde particionesNuevas son los libros creados desde el último vaciado, pendientes de anotar en el índice, y errores
+ * las filas para la hoja de errores (API_Historial.js).
+ */
+function crearBuferHallazgos(idEjecucion) {
+    return { idEjecucion: idEjecucion || '', filasPorLibro: {}, totalFilas: 0, particionesNuevas: [], errores: [] };
+}
+
+/**
+ * Anota en el búfer un elemento que no se pudo auditar; se escribe en la hoja de errores en el siguiente vaciado.
+ * @param {Object} buferHallazgos - Búfer creado por "crearBuferHallazgos".
+ * @param {Object} fallo - Detalle del error (ver "construirFilaError" en API_Historial.js).
+ */
+function registrarErrorEnBufer(buferHallazgos, fallo) {
+    Logger.log(`[Error] ${fallo.operacion} en ${fallo.ruta || fallo.idElemento}: ${fallo.error && fallo.error.message}`);
+    buferHallazgos.errores.push(construirFilaError(buferHallazgos.idEjecucion, fallo)); // API_Historial.js
+}
+
+/**
+ * Crea la siguiente parte ("Reporte - <rama> (Parte N)") de una rama en su carpeta de auditoría y apunta el tracker a ella.
+ * @param {Object} estadoActual - Tracker de la rama (ver "volcarHallazgoAPaginacion"); se muta.
+ * @param {Array} particionesNuevas - Lista donde se anota la partición creada, pendiente de registrar en el índice.
+ * @return {Object} El mismo tracker, apuntando a la nueva parte.
+ */
+function abrirParticionReporte(estadoActual, particionesNuevas) {
+    const cabecerasLibro = obtenerCabecerasReporte(estadoActual.modoSalida);
+    estadoActual.parteActual += 1; // Subir de Parte 1 a Parte 2, etc.
+
+    const nombreNuevoArchivo = `Reporte - ${estadoActual.ramaNombre} (Parte ${estadoActual.parteActual})`;
+
+    // Crear el nuevo Google Sheet en la raíz virtual
+    const nuevoSpreadsheet = SpreadsheetApp.create(nombreNuevoArchivo);
+    const m_sheet = nuevoSpreadsheet.getSheets()[0];
+
+    // Grabar Cabeceras Estéticas
+    m_sheet.appendRow(cabecerasLibro);
+    m_sheet.getRange(1, 1, 1, cabecerasLibro.length).setFontWeight('bold');
+    m_sheet.setFrozenRows(1);
+
+    estadoActual.idSheet = nuevoSpreadsheet.getId();
+    estadoActual.filaActual = 2; // Apunta a la primera fila útil a rellenar
+
+    // Mover físicamente el archivo recién nacido desde la raíz a la Carpeta Maestra
+    const archivoVirtualEnDrive = DriveApp.getFileById(estadoActual.idSheet);
+    const carpetaContenedora = DriveApp.getFolderById(estadoActual.idCarpetaRaiz);
+    archivoVirtualEnDrive.moveTo(carpetaContenedora);
+
+    particionesNuevas.push({
+        idUnidad: estadoActual.idUnidad || '',
+        rama: estadoActual.ramaNombre,
+        parte: estadoActual.parteActual,
+        enlace: nuevoSpreadsheet.getUrl(),
+        idLibro: estadoActual.idSheet
+    });
+    return estadoActual;
+}
+
+// Archivos de celdas grandes ya escritos en esta ejecución, por carpeta y huella del contenido (ver "guardarCeldaEnArchivo")
+const archivosCeldaEnCache = {};
+
+/**
+ * Ajusta un valor al límite de caracteres por celda de Sheets. Los conjuntos de permisos de las columnas "(JSON)"
+ * que no caben se guardan completos en un archivo de la carpeta de auditoría y la celda queda con
+ * PREFIJO_CELDA_EN_ARCHIVO más el ID del archivo (ver "resolverCeldaConjunto"); el resto del texto se recorta.
+ * Un mismo conjunto (por ejemplo, el de una carpeta padre grande repetido en cada hijo) se escribe una sola vez por
+ * ejecución y las demás celdas apuntan al mismo archivo (ver "guardarCeldaEnArchivo").
+ * @param {*} valor - Valor de la celda.
+ * @param {string} nombreColumna - Nombre original de la columna (CABECERAS_REPORTE_TECNICO o CABECERAS_REPORTE_NORMALIZADO).
+ * @param {Object} estadoActual - Tracker de la rama (se usa su `idCarpetaRaiz`).
+ * @param {string} idElemento - ID del elemento de la fila, para nombrar el archivo.
+ * @return {*} El valor tal cual, recortado o reemplazado por la referencia al archivo.
+ */
+function acotarCeldaReporte(valor, nombreColumna, estadoActual, idElemento) {
+    if (typeof valor !== 'string' || valor.length <= LIMITE_CARACTERES_CELDA) {
+        return valor;
+    }
+    if (/\(JSON\)$/.test(nombreColumna)) {
+        return guardarCeldaEnArchivo(valor, estadoActual.idCarpetaRaiz, `${nombreColumna} - ${idElemento}.json`);
+    }
+    return `${valor.substring(0, LIMITE_CARACTERES_CELDA)} … [recortado: ${valor.length} caracteres]`;
+}
+
+/**
+ * Guarda en un archivo JSON el contenido de una celda que no cabe en Sheets y devuelve la referencia que ocupa su
+ * lugar (PREFIJO_CELDA_EN_ARCHIVO más el ID del archivo). Si esta ejecución ya guardó el mismo contenido en esa
+ * carpeta, reutiliza el archivo.
+ * @param {string} texto - Contenido completo de la celda.
+ * @param {string|null} idCarpeta - Carpeta de auditoría; sin ella el archivo queda en la raíz de Mi unidad.
+ * @param {string} nombreArchivo - Nombre del archivo si hay que crearlo.
+ * @return {string} La referencia para la celda (ver "resolverCeldaConjunto").
+ */
+function guardarCeldaEnArchivo(texto, idCarpeta, nombreArchivo) {
+    const huella = Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, texto, Utilities.Charset.UTF_8));
+    const claveCache = `${idCarpeta || 'RAIZ'}:${huella}`;
+    if (!archivosCeldaEnCache[claveCache]) {
+        const carpeta = idCarpeta ? DriveApp.getFolderById(idCarpeta) : DriveApp.getRootFolder();
+        archivosCeldaEnCache[claveCache] = carpeta.createFile(nombreArchivo, texto, 'application/json').getId();
+    }
+    return PREFIJO_CELDA_EN_ARCHIVO + archivosCeldaEnCache[claveCache];
+}
+
+/**
+ * Devuelve el JSON de un conjunto de permisos guardado en una celda del reporte, leyendo el archivo aparte
+ * cuando no cupo en la celda (ver "acotarCeldaReporte").
+ * @param {*} valor - Contenido de la celda.
+ * @return {string} El JSON completo ('' si la celda estaba vacía).
+ */
+function resolverCeldaConjunto(valor) {
+    const texto = String(valor || '');
+    if (texto.indexOf(PREFIJO_CELDA_EN_ARCHIVO) !== 0) {
+        return texto;
+    }
+    return DriveApp.getFileById(texto.substring(PREFIJO_CELDA_EN_ARCHIVO.length)).getBlob().getDataAsString();
+}
+
 /**
  * Gestiona el volcado de datos hacia un Sheet alojado en la carpeta de auditoría.
  * Si el sheet actual excede el límite (o no existe), crea uno nuevo (Parte N) y devuelve el nuevo estado.
+ * La fila no se escribe de inmediato: queda en el búfer hasta "vaciarBuferHallazgos".
  * 
- * @param {Object} estadoActual - { idSheet: 'string', filaActual: int, ramaNombre: 'string', parteActual: int, idCarpetaRaiz: 'string' }
- * @param {Array} datosFila - El array con los datos a insertar `['ruta', 'url', 'tipo', 'roles']`.
+ * @param {Object} estadoActual - { idSheet: 'string', filaActual: int, ramaNombre: 'string', parteActual: int, idCarpetaRaiz: 'string', modoSalida: 'string' }
+ * @param {Array} datosFila - El array con los datos a insertar (ver "obtenerCabecerasReporte").
+ * @param {Object} buferHallazgos - Búfer creado por "crearBuferHallazgos".
  * @return {Object} Retorna el objeto `estadoActual` el cual pudo haber sido mutado si se creó una nueva partición.
  */
-function volcarHallazgoAPaginacion(estadoActual, datosFila) {
+function volcarHallazgoAPaginacion(estadoActual, datosFila, buferHallazgos) {
+    const cabecerasLibro = obtenerCabecerasReporte(estadoActual.modoSalida);
+
     // 1. Verificar si necesitamos crear un Sheet (porque es el primero, o rebasó el límite)
-    if (!estadoActual.idSheet || estadoActual.filaActual >= LIMITE_FILAS_POR_HOJA_REPORTE) {
+    if (!estadoActual.idSheet || estadoActual.filaActual >= obtenerAjuste('limiteFilasPorParticion')) {
+        abrirParticionReporte(estadoActual, buferHallazgos.particionesNuevas);
+    }
 
-        estadoActual.parteActual += 1; // Subir de Parte 1 a Parte 2, etc.
-        estadoActual.filaActual = 1; // Reiniciar contador de filas a inyectar (fila 1 = cabeceras)
+    // 2. Encolar el dato de la anomalía para el Sheet Activo (todas las filas con el mismo ancho para setValues)
+    const nombresOriginales = estadoActual.modoSalida === 'NORMALIZADO' ? CABECERAS_REPORTE_NORMALIZADO : CABECERAS_REPORTE_TECNICO;
+    const idElemento = datosFila[nombresOriginales.indexOf('ID Elemento')];
+    const filaNormalizada = cabecerasLibro.map((cabecera, indice) => acotarCeldaReporte(datosFila[indice] !== undefined ? datosFila[indice] : '', nombresOriginales[indice], estadoActual, idElemento));
+    if (!buferHallazgos.filasPorLibro[estadoActual.idSheet]) {
+        buferHallazgos.filasPorLibro[estadoActual.idSheet] = [];
+    }
+    buferHallazgos.filasPorLibro[estadoActual.idSheet].push(filaNormalizada);
+    buferHallazgos.totalFilas += 1;
+    estadoActual.filaActual += 1; // Aumentar en 1 el peso de esta hoja
 
-        const nombreNuevoArchivo = `Reporte - ${estadoActual.ramaNombre} (Parte ${estadoActual.parteActual})`;
+    // Devolver el estado (idSheet e iteración de filas) al ciclo principal
+    return estadoActual;
+}
 
-        // Crear el nuevo Google Sheet en la raíz virtual
-        const nuevoSpreadsheet = SpreadsheetApp.create(nombreNuevoArchivo);
-        const m_sheet = nuevoSpreadsheet.getSheets()[0];
+/**
+ * Escribe todos los hallazgos acumulados con un único setValues por libro y deja el búfer vacío.
+ * Se escribe a partir de la última fila real de cada libro, por lo que nunca se sobrescriben datos previos.
+ * Las escrituras se reintentan ante errores transitorios. Al final actualiza el índice de particiones con los libros
+ * nuevos y las filas escritas, y vuelca los errores.
+ * @param {Object} buferHallazgos - Búfer creado por "crearBuferHallazgos".
+ * @throws {Error} Si algún libro no se pudo escribir, después de registrar lo que sí se escribió. Quien llama no debe
+ * dar por terminadas las carpetas del tramo: al repetirlas se regeneran los hallazgos perdidos.
+ */
+function vaciarBuferHallazgos(buferHallazgos) {
+    const filasEscritasPorLibro = {};
+    const fallos = [];
 
-        // Grabar Cabeceras Estéticas
-        m_sheet.appendRow(CABECERAS_REPORTE_TECNICO);
-        m_sheet.getRange(1, 1, 1, CABECERAS_REPORTE_TECNICO.length).setFontWeight('bold');
-        m_sheet.setFrozenRows(1);
+    Object.keys(buferHallazgos.filasPorLibro).forEach(idSheet => {
+        const filas = buferHallazgos.filasPorLibro[idSheet];
+        try {
+            ejecutarConReintentos(() => { // API_Reintentos.js
+                const hojaDestino = SpreadsheetApp.openById(idSheet).getSheets()[0];
+                hojaDestino.getRange(hojaDestino.getLastRow() + 1, 1, filas.length, filas[0].length).setValues(filas);
+            }, `escribir ${filas.length} filas en ${idSheet}`);
+            filasEscritasPorLibro[idSheet] = filas.length;
+        } catch (error) {
+            Logger.log(`[Búfer] No se pudieron escribir ${filas.length} hallazgos en ${idSheet}: ${error.message}`);
+            fallos.push(`${filas.length} filas en ${idSheet} (${error.message})`);
+        }
+    });
 
-        estadoActual.idSheet = nuevoSpreadsheet.getId();
-        estadoActual.filaActual = 2; // Apunta a la primera fila útil a rellenar
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (buferHallazgos.particionesNuevas.length > 0 || Object.keys(filasEscritasPorLibro).length > 0) {
+        actualizarIndiceParticiones(ss, buferHallazgos.particionesNuevas, filasEscritasPorLibro);
+    }
+    registrarErroresAuditoria(ss, buferHallazgos.errores); // API_Historial.js
 
-        // Mover físicamente el archivo recién nacido desde la raíz a la Carpeta Maestra
-        const archivoVirtualEnDrive = DriveApp.getFileById(estadoActual.idSheet);
-        const carpetaContenedora = DriveApp.getFolderById(estadoActual.idCarpetaRaiz);
-        archivoVirtualEnDrive.moveTo(carpetaContenedora);
+    buferHallazgos.filasPorLibro = {};
+    buferHallazgos.totalFilas = 0;
+    buferHallazgos.particionesNuevas = [];
+    buferHallazgos.errores = [];
+
+    if (fallos.length > 0) {
+        throw new Error(`No se pudieron escribir los hallazgos: ${fallos.join('; ')}`);
     }
+}
 
-    // 2. Anexar el dato de la anomalía al Sheet Activo
-    try {
-        const spreadDestino = SpreadsheetApp.openById(estadoActual.idSheet);
-        const hojaDestino = spreadDestino.getSheets()[0];
-        hojaDestino.appendRow(datosFila);
-        estadoActual.filaActual += 1; // Aumentar en 1 el peso de esta hoja
-    } catch (error) {
-        Logger.log(`[DriverError] Fallo al insertar fila en la página ${estadoActual.idSheet} de rama ${estadoActual.ramaNombre}: ${error.message}`);
+/**
+ * Crea (o vacía) la hoja índice de particiones en el libro activo.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Sheet} La hoja índice lista para recibir filas.
+ */
+function inicializarIndiceParticiones(ss) {
+    let hojaIndice = ss.getSheetByName(NOMBRE_HOJA_INDICE_PARTICIONES);
+    if (hojaIndice) {
+        hojaIndice.clear();
+    } else {
+        hojaIndice = ss.insertSheet(NOMBRE_HOJA_INDICE_PARTICIONES);
     }
+    hojaIndice.appendRow(CABECERAS_INDICE_PARTICIONES);
+    hojaIndice.setFrozenRows(1);
+    hojaIndice.getRange(1, 1, 1, CABECERAS_INDICE_PARTICIONES.length).setFontWeight('bold');
+    return hojaIndice;
+}
 
-    // Devolver el estado (idSheet e iteración de filas) al ciclo principal
-    return estadoActual;
+/**
+ * Anota las particiones nuevas en el índice y suma las filas escritas a las ya registradas.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {Array} particionesNuevas - Lista de { idUnidad, rama, parte, enlace, idLibro } creadas desde el último vaciado.
+ * @param {Object} filasEscritasPorLibro - Mapa idLibro -> filas escritas en este vaciado.
+ */
+function actualizarIndiceParticiones(ss, particionesNuevas, filasEscritasPorLibro) {
+    const hojaIndice = ss.getSheetByName(NOMBRE_HOJA_INDICE_PARTICIONES) || inicializarIndiceParticiones(ss);
+    const columnaFilas = CABECERAS_INDICE_PARTICIONES.indexOf('Filas');
+    const columnaIdLibro = CABECERAS_INDICE_PARTICIONES.indexOf('ID Libro');
+
+    const filasIndice = hojaIndice.getLastRow() > 1
+        ? hojaIndice.getRange(2, 1, hojaIndice.getLastRow() - 1, CABECERAS_INDICE_PARTICIONES.length).getValues()
+        : [];
+    particionesNuevas.forEach(particion => {
+        filasIndice.push([particion.idUnidad, particion.rama, particion.parte, particion.enlace, 0, particion.idLibro]);
+    });
+    if (filasIndice.length === 0) {
+        return;
+    }
+
+    filasIndice.forEach(fila => {
+        const escritas = filasEscritasPorLibro[fila[columnaIdLibro]];
+        if (escritas) {
+            fila[columnaFilas] = Number(fila[columnaFilas]) + escritas;
+        }
+    });
+    hojaIndice.getRange(2, 1, filasIndice.length, CABECERAS_INDICE_PARTICIONES.length).setValues(filasIndice);
+}
+
+/**
+ * Lee el índice de particiones de la auditoría en curso (o la última terminada).
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Array} Lista de objetos { idUnidad, rama, parte, enlace, filas, idLibro }.
+ */
+function leerIndiceParticiones(ss) {
+    const hojaIndice = ss.getSheetByName(NOMBRE_HOJA_INDICE_PARTICIONES);
+    if (!hojaIndice || hojaIndice.getLastRow() < 2) {
+        return [];
+    }
+    return hojaIndice.getRange(2, 1, hojaIndice.getLastRow() - 1, CABECERAS_INDICE_PARTICIONES.length).getValues()
+        .map(fila => ({ idUnidad: fila[0], rama: fila[1], parte: fila[2], enlace: fila[3], filas: Number(fila[4]), idLibro: fila[5] }));
+}
+
+/**
+ * Lee todos los hallazgos escritos en los libros particionados ("Reporte - ... (Parte N)") de una carpeta de auditoría.
+ * Las columnas se ubican por el nombre de su cabecera (ver "crearLocalizadorColumnas") para tolerar libros de corridas anteriores,
+ * y los conjuntos de permisos que no cupieron en su celda se leen de su archivo (ver "resolverCeldaConjunto").
+ * Las filas repetidas por un tramo reprocesado se leen una sola vez (ver "crearDetectorFilasRepetidas").
+ * @param {string} idCarpetaAuditoria - ID de la carpeta creada por "instanciarCarpetaMaestra".
+ * @return {Array} Lista de objetos { ruta, url, tipo, usuarios, tipoRiesgo, severidad, idElemento, permisosPadreJSON, permisosElementoJSON,
+ * ajustesUsoCompartido, destinoAccesoDirecto, rama }.
+ * @throws {Error} Si algún libro está en formato normalizado: sus filas no traen los conjuntos de permisos que se comparan.
+ */
+function leerHallazgosDeCarpeta(idCarpetaAuditoria) {
+    const hallazgos = [];
+    const esFilaRepetida = crearDetectorFilasRepetidas();
+    const librosReporte = DriveApp.getFolderById(idCarpetaAuditoria).getFilesByType(MimeType.GOOGLE_SHEETS);
+
+    while (librosReporte.hasNext()) {
+        const archivoLibro = librosReporte.next();
+        const coincidenciaNombre = archivoLibro.getName().match(/^Reporte - (.*) \(Parte \d+\)$/);
+        if (!coincidenciaNombre) {
+            continue; // Otros libros de la carpeta (exportaciones, tableros) no contienen hallazgos
+        }
+
+        const valores = SpreadsheetApp.openById(archivoLibro.getId()).getSheets()[0].getDataRange().getValues();
+        if (valores.length < 2) {
+            continue;
+        }
+
+        const columna = crearLocalizadorColumnas(valores[0]);
+        if (columna('Usuarios Encontrados (Roles)') < 0) {
+            throw new Error(`El libro "${archivoLibro.getName()}" está en formato normalizado (una fila por principal). Remediar y comparar solo admiten auditorías en formato consolidado: vuelva a auditar la unidad con "modoSalidaReporte" = CONSOLIDADO.`);
+        }
+        const leer = (fila, nombre) => (columna(nombre) >= 0 ? fila[columna(nombre)] : '');
+
+        valores.slice(1).filter(fila => !esFilaRepetida(fila)).forEach(fila => {
+            hallazgos.push({
+                ruta: leer(fila, 'Ruta Escaneada'),
+                url: leer(fila, 'Enlace'),
+                tipo: leer(fila, 'Tipo (Doc/Folder)'),
+                usuarios: leer(fila, 'Usuarios Encontrados (Roles)'),
+                tipoRiesgo: leer(fila, 'Tipo de Riesgo'),
+                severidad: leer(fila, 'Severidad'),
+                idElemento: leer(fila, 'ID Elemento'),
+                permisosPadreJSON: resolverCeldaConjunto(leer(fila, 'Permisos del Padre (JSON)')),
+                permisosElementoJSON: resolverCeldaConjunto(leer(fila, 'Permisos del Elemento (JSON)')),
+                ajustesUsoCompartido: leer(fila, 'Ajustes de Uso Compartido'),
+                destinoAccesoDirecto: leer(fila, 'Destino de Acceso Directo'),
+                rama: coincidenciaNombre[1]
+            });
+        });
+    }
+
+    return hallazgos;
+}
+
+/**
+ * Crea (o vacía) la hoja de resumen por unidad en el libro activo.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Sheet} La hoja de resumen lista para recibir filas.
+ */
+function inicializarResumenUnidades(ss) {
+    let hojaResumen = ss.getSheetByName(NOMBRE_HOJA_RESUMEN_UNIDADES);
+    if (hojaResumen) {
+        hojaResumen.clear();
+    } else {
+        hojaResumen = ss.insertSheet(NOMBRE_HOJA_RESUMEN_UNIDADES);
+    }
+    hojaResumen.appendRow(CABECERAS_RESUMEN_UNIDADES);
+    hojaResumen.setFrozenRows(1);
+    hojaResumen.getRange(1, 1, 1, CABECERAS_RESUMEN_UNIDADES.length).setFontWeight('bold');
+    return hojaResumen;
+}
+
+/**
+ * Agrega una unidad a la hoja de resumen con sus contadores en cero. Si la unidad ya figura (ej. una raíz que
+ * falló y se reintenta), reemplaza su fila en lugar de duplicarla.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {string} idUnidad - ID de la Unidad Compartida.
+ * @param {string} nombreUnidad - Nombre visible de la unidad.
+ * @param {string} estado - Estado inicial ('En cola' o el detalle del error de acceso).
+ * @param {string} idCarpetaMaestra - ID de la carpeta de reportes (puede no existir si la unidad falló).
+ */
+function registrarUnidadEnResumen(ss, idUnidad, nombreUnidad, estado, idCarpetaMaestra) {
+    const hojaResumen = ss.getSheetByName(NOMBRE_HOJA_RESUMEN_UNIDADES) || inicializarResumenUnidades(ss);
+    const enlaceCarpeta = idCarpetaMaestra ? `https://drive.google.com/drive/folders/${idCarpetaMaestra}` : '';
+    const filaUnidad = [idUnidad, nombreUnidad, estado, 0, 0, enlaceCarpeta, new Date(), 0, 0];
+    const indiceExistente = leerResumenUnidades(ss).findIndex(unidad => unidad.idUnidad === idUnidad);
+    if (indiceExistente >= 0) {
+        hojaResumen.getRange(indiceExistente + 2, 1, 1, filaUnidad.length).setValues([filaUnidad]);
+        return;
+    }
+    hojaResumen.appendRow(filaUnidad);
+}
+
+/**
+ * Suma los contadores acumulados por el worker a la hoja de resumen y recalcula el estado de cada unidad
+ * según las filas que aún le quedan en la cola.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {Object} contadoresPorUnidad - Mapa idUnidad -> { elementos, hallazgos, subcarpetasOmitidas, archivosOmitidos } de esta ejecución.
+ * @param {Sheet} hojaDeCola - Hoja de cola (NOMBRE_HOJA_COLA) para detectar unidades con trabajo pendiente.
+ */
+function actualizarResumenUnidades(ss, contadoresPorUnidad, hojaDeCola) {
+    const hojaResumen = ss.getSheetByName(NOMBRE_HOJA_RESUMEN_UNIDADES);
+    if (!hojaResumen || hojaResumen.getLastRow() < 2) {
+        return;
+    }
+
+    // Filas pendientes por unidad (columna 6 de la cola = Estado Paginacion Rama (JSON), que lleva el idUnidad)
+    const pendientesPorUnidad = {};
+    if (hojaDeCola && hojaDeCola.getLastRow() > 1) {
+        hojaDeCola.getRange(2, 6, hojaDeCola.getLastRow() - 1, 1).getValues().forEach(fila => {
+            try {
+                const tracker = leerCeldaCola(fila[0], '{}'); // API_Cola.js
+                if (tracker.idUnidad) {
+                    pendientesPorUnidad[tracker.idUnidad] = (pendientesPorUnidad[tracker.idUnidad] || 0) + 1;
+                }
+            } catch (e) { /* Fila corrupta: el worker la descartará al llegar a ella */ }
+        });
+    }
+
+    const rangoResumen = hojaResumen.getRange(2, 1, hojaResumen.getLastRow() - 1, CABECERAS_RESUMEN_UNIDADES.length);
+    const filas = rangoResumen.getValues().map(fila => {
+        const idUnidad = fila[0];
+        const estadoActual = String(fila[2]);
+        if (estadoActual.startsWith('Error')) {
+            return fila;
+        }
+
+        const contadores = contadoresPorUnidad[idUnidad] || { elementos: 0, hallazgos: 0, subcarpetasOmitidas: 0, archivosOmitidos: 0 };
+        const elementos = Number(fila[3]) + contadores.elementos;
+        const hallazgos = Number(fila[4]) + contadores.hallazgos;
+        const subcarpetasOmitidas = Number(fila[7]) + contadores.subcarpetasOmitidas;
+        const archivosOmitidos = Number(fila[8]) + contadores.archivosOmitidos;
+        let estado = 'Completada';
+        if (pendientesPorUnidad[idUnidad]) {
+            estado = elementos > 0 ? 'En progreso' : 'En cola';
+        }
+
+        const huboCambios = estado !== estadoActual || contadores.elementos > 0 || contadores.subcarpetasOmitidas + contadores.archivosOmitidos > 0;
+        return [idUnidad, fila[1], estado, elementos, hallazgos, fila[5], huboCambios ? new Date() : fila[6], subcarpetasOmitidas, archivosOmitidos];
+    });
+    rangoResumen.setValues(filas);
+}
+
+/**
+ * Lee la hoja de resumen por unidad.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Array} Lista de { idUnidad, nombre, estado, elementos, hallazgos, idCarpetaMaestra, subcarpetasOmitidas, archivosOmitidos }.
+ */
+function leerResumenUnidades(ss) {
+    const hojaResumen = ss.getSheetByName(NOMBRE_HOJA_RESUMEN_UNIDADES);
+    if (!hojaResumen || hojaResumen.getLastRow() < 2) {
+        return [];
+    }
+    return hojaResumen.getRange(2, 1, hojaResumen.getLastRow() - 1, CABECERAS_RESUMEN_UNIDADES.length).getValues()
+        .map(fila => ({
+            idUnidad: fila[0],
+            nombre: fila[1],
+            estado: fila[2],
+            elementos: Number(fila[3]),
+            hallazgos: Number(fila[4]),
+            idCarpetaMaestra: extraerIdDrive(fila[5]), // UI_Menu.js
+            subcarpetasOmitidas: Number(fila[7]),
+            archivosOmitidos: Number(fila[8])
+        }));
 }
@@ -0,0 +1,178 @@
+/**
+ * Archivo: API_Tablero.js
+ * Propósito: Recorre todas las particiones anotadas en el índice y construye en el libro principal
+ * un tablero con totales por rama, tipo de riesgo, rol y dominio externo, más las carpetas más expuestas.
+ */
+
+/**
+ * Lee un libro de reporte (en cualquiera de los dos formatos) y lo reduce a un registro por elemento.
+ * @param {string} idLibro - ID del libro de la partición.
+ * @param {string} rama - Rama a la que pertenece la partición (según el índice).
+ * @param {Function} esFilaRepetida - Detector compartido por todas las particiones (ver "crearDetectorFilasRepetidas").
+ * @return {Array} Lista de { rama, ruta, tipoRiesgo, severidad, concesiones: Array<{ rol, tipo, dominio }> }.
+ */
+function leerElementosDeParticion(idLibro, rama, esFilaRepetida) {
+    const valores = SpreadsheetApp.openById(idLibro).getSheets()[0].getDataRange().getValues();
+    if (valores.length < 2) {
+        return [];
+    }
+
+    const columna = crearLocalizadorColumnas(valores[0]); // API_SalidaDrive.js
+    const filas = valores.slice(1).filter(fila => !esFilaRepetida(fila));
+
+    // Formato consolidado: una fila por elemento con sus permisos en JSON
+    if (columna('Usuarios Encontrados (Roles)') >= 0) {
+        return filas.map(fila => {
+            let conjunto = { permisos: [] };
+            try {
+                conjunto = JSON.parse(resolverCeldaConjunto(fila[columna('Permisos del Elemento (JSON)')]) || '{"permisos":[]}'); // API_SalidaDrive.js
+            } catch (e) { /* Filas de error de lectura no traen permisos */ }
+            return {
+                rama: rama,
+                ruta: fila[columna('Ruta Escaneada')],
+                tipoRiesgo: fila[columna('Tipo de Riesgo')],
+                severidad: fila[columna('Severidad')],
+                concesiones: conjunto.permisos.map(permiso => ({
+                    rol: ETIQUETAS_ROLES_DRIVE[permiso.rol] || permiso.rol,
+                    tipo: permiso.tipo,
+                    dominio: permiso.dominio
+                }))
+            };
+        });
+    }
+
+    // Formato normalizado: se agrupan las filas por ID de elemento y manda la severidad más alta
+    const elementosPorId = {};
+    filas.forEach(fila => {
+        const idElemento = fila[columna('ID Elemento')];
+        const severidad = fila[columna('Severidad')];
+        if (!elementosPorId[idElemento]) {
+            elementosPorId[idElemento] = { rama: rama, ruta: fila[columna('Ruta')], tipoRiesgo: '', severidad: '', concesiones: [] };
+        }
+        const elemento = elementosPorId[idElemento];
+        if (NIVELES_SEVERIDAD.indexOf(severidad) > NIVELES_SEVERIDAD.indexOf(elemento.severidad) || !elemento.tipoRiesgo) {
+            elemento.tipoRiesgo = fila[columna('Tipo de Riesgo')];
+            elemento.severidad = severidad;
+        }
+
+        const rol = fila[columna('Rol')];
+        if (rol && rol !== 'Sin acceso') {
+            const tipo = fila[columna('Tipo Principal')];
+            const principal = String(fila[columna('Principal')]);
+            const dominio = tipo === 'domain' ? principal : (principal.includes('@') ? principal.split('@')[1] : '');
+            elemento.concesiones.push({ rol: rol, tipo: tipo, dominio: dominio });
+        }
+    });
+    return Object.keys(elementosPorId).map(idElemento => elementosPorId[idElemento]);
+}
+
+/**
+ * Calcula las estadísticas del tablero a partir de todas las particiones del índice.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @param {string} dominioOrganizacion - Dominio principal de la organización (para detectar dominios externos).
+ * @return {Object} { porRama, porRiesgo, porRol, porDominioExterno, carpetas, totalElementos, particiones }.
+ */
+function calcularEstadisticasTablero(ss, dominioOrganizacion) {
+    const estadisticas = { porRama: {}, porRiesgo: {}, porRol: {}, porDominioExterno: {}, carpetas: {}, totalElementos: 0, particiones: 0 };
+    const sumar = (mapa, clave, cantidad) => {
+        mapa[clave] = (mapa[clave] || 0) + cantidad;
+    };
+
+    const esFilaRepetida = crearDetectorFilasRepetidas(); // API_SalidaDrive.js
+    leerIndiceParticiones(ss).forEach(particion => { // API_SalidaDrive.js
+        let elementos;
+        try {
+            elementos = leerElementosDeParticion(particion.idLibro, particion.rama, esFilaRepetida);
+        } catch (error) {
+            Logger.log(`[Tablero] No se pudo leer la partición ${particion.enlace}: ${error.message}`);
+            return;
+        }
+        estadisticas.particiones += 1;
+
+        elementos.forEach(elemento => {
+            const pesoSeveridad = Math.max(NIVELES_SEVERIDAD.indexOf(elemento.severidad), 0);
+            estadisticas.totalElementos += 1;
+            sumar(estadisticas.porRama, elemento.rama, 1);
+            sumar(estadisticas.porRiesgo, elemento.tipoRiesgo || 'Sin clasificar', 1);
+
+            elemento.concesiones.forEach(concesion => {
+                sumar(estadisticas.porRol, concesion.rol, 1);
+                if (concesion.tipo !== 'anyone' && concesion.dominio && concesion.dominio !== dominioOrganizacion) {
+                    sumar(estadisticas.porDominioExterno, concesion.dominio, 1);
+                }
+            });
+
+            // Cada hallazgo suma a la carpeta que lo contiene, ponderado por su severidad
+            const ruta = String(elemento.ruta);
+            const carpeta = ruta.includes('/') ? ruta.substring(0, ruta.lastIndexOf('/')) : ruta;
+            if (!estadisticas.carpetas[carpeta]) {
+                estadisticas.carpetas[carpeta] = { hallazgos: 0, puntaje: 0, peorPeso: 0 };
+            }
+            estadisticas.carpetas[carpeta].hallazgos += 1;
+            estadisticas.carpetas[carpeta].puntaje += pesoSeveridad;
+            estadisticas.carpetas[carpeta].peorPeso = Math.max(estadisticas.carpetas[carpeta].peorPeso, pesoSeveridad);
+        });
+    });
+
+    return estadisticas;
+}
+
+/**
+ * Reconstruye la hoja NOMBRE_HOJA_TABLERO con las secciones del resumen gerencial.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Object} Las estadísticas usadas (ver "calcularEstadisticasTablero").
+ */
+function construirTableroAuditoria(ss) {
+    const dominioOrganizacion = Session.getEffectiveUser().getEmail().split('@')[1];
+    const estadisticas = calcularEstadisticasTablero(ss, dominioOrganizacion);
+
+    let hojaTablero = ss.getSheetByName(NOMBRE_HOJA_TABLERO);
+    if (hojaTablero) {
+        hojaTablero.clear();
+    } else {
+        hojaTablero = ss.insertSheet(NOMBRE_HOJA_TABLERO);
+    }
+
+    const fechaStr = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+    hojaTablero.getRange(1, 1, 2, 2).setValues([
+        [`Tablero de Auditoría (${fechaStr})`, ''],
+        ['Elementos con hallazgos', estadisticas.totalElementos]
+    ]);
+    hojaTablero.getRange(1, 1).setFontWeight('bold');
+    let filaActual = 4;
+
+    // Secciones de conteo simple, ordenadas de mayor a menor
+    const ordenarMapa = mapa => Object.keys(mapa).map(clave => [clave, mapa[clave]]).sort((a, b) => b[1] - a[1]);
+    const secciones = [
+        ['Hallazgos por Rama', 'Elementos', ordenarMapa(estadisticas.porRama)],
+        ['Hallazgos por Tipo de Riesgo', 'Elementos', ordenarMapa(estadisticas.porRiesgo)],
+        ['Accesos por Rol', 'Concesiones', ordenarMapa(estadisticas.porRol)],
+        ['Accesos por Dominio Externo', 'Concesiones', ordenarMapa(estadisticas.porDominioExterno)]
+    ];
+
+    secciones.forEach(([titulo, etiquetaConteo, filas]) => {
+        hojaTablero.getRange(filaActual, 1, 1, 2).setValues([[titulo, etiquetaConteo]]).setFontWeight('bold');
+        filaActual += 1;
+        const filasSeccion = filas.length > 0 ? filas : [['(sin datos)', 0]];
+        hojaTablero.getRange(filaActual, 1, filasSeccion.length, 2).setValues(filasSeccion);
+        filaActual += filasSeccion.length + 1;
+    });
+
+    // Carpetas más expuestas: primero por puntaje de severidad acumulado, luego por cantidad de hallazgos
+    const cantidadTop = obtenerAjuste('topCarpetasTablero'); // Cfg_Configuracion.js
+    const topCarpetas = Object.keys(estadisticas.carpetas)
+        .map(ruta => [ruta, estadisticas.carpetas[ruta].hallazgos, NIVELES_SEVERIDAD[estadisticas.carpetas[ruta].peorPeso], estadisticas.carpetas[ruta].puntaje])
+        .sort((a, b) => b[3] - a[3] || b[1] - a[1])
+        .slice(0, cantidadTop);
+
+    hojaTablero.getRange(filaActual, 1, 1, 4).setValues([[`Top ${cantidadTop} Carpetas más Expuestas`, 'Hallazgos', 'Peor Severidad', 'Puntaje']]).setFontWeight('bold');
+    filaActual += 1;
+    if (topCarpetas.length > 0) {
+        hojaTablero.getRange(filaActual, 1, topCarpetas.length, 4).setValues(topCarpetas);
+    } else {
+        hojaTablero.getRange(filaActual, 1).setValue('(sin datos)');
+    }
+
+    hojaTablero.autoResizeColumn(1);
+    return estadisticas;
+}
@@ -0,0 +1,181 @@
+/**
+ * Archivo: API_UsoCompartido.js
+ * Propósito: Ajustes de uso compartido que cambian lo que significa un acceso sin ser un permiso en sí
+ * (acceso limitado, copia restringida a editores, restricciones de la Unidad Compartida, enlaces descubribles
+ * y expiración de los accesos). Los lee por elemento y los convierte en hallazgos con tipo y peso propios.
+ */
+
+/**
+ * Extrae los ajustes de uso compartido de un recurso `File`. Las restricciones de una Unidad Compartida se toman
+ * de `restrictions` si el recurso las trae (raíz de la unidad) o se heredan del contenedor, porque rigen para todo
+ * su contenido.
+ * @param {Object} archivo - Recurso `File` (de Files.list, Files.get o de una instantánea), opcionalmente con `restrictions`.
+ * @param {Object} [ajustesContenedor] - Ajustes de la carpeta que lo contiene.
+ * @return {Object} { accesoLimitado, copiaRequiereEditor, soloUsuariosDominio, soloMiembrosUnidad, copiaSoloEditoresUnidad } (null = no aplica).
+ */
+function extraerAjustesUsoCompartido(archivo, ajustesContenedor) {
+    const ajustes = {
+        accesoLimitado: archivo.inheritedPermissionsDisabled === true,
+        copiaRequiereEditor: archivo.copyRequiresWriterPermission === true,
+        soloUsuariosDominio: null,
+        soloMiembrosUnidad: null,
+        copiaSoloEditoresUnidad: null
+    };
+
+    // La restricción de copia de la unidad se guarda aparte: rige sobre todos sus archivos aunque cada uno no la active
+    if (archivo.restrictions) {
+        ajustes.soloUsuariosDominio = archivo.restrictions.domainUsersOnly === true;
+        ajustes.soloMiembrosUnidad = archivo.restrictions.driveMembersOnly === true;
+        ajustes.copiaSoloEditoresUnidad = archivo.restrictions.copyRequiresWriterPermission === true;
+    } else if (archivo.driveId && ajustesContenedor) {
+        ['soloUsuariosDominio', 'soloMiembrosUnidad', 'copiaSoloEditoresUnidad'].forEach(campo => {
+            ajustes[campo] = ajustesContenedor[campo] !== undefined ? ajustesContenedor[campo] : null;
+        });
+    }
+    return ajustes;
+}
+
+/**
+ * Lee en vivo los ajustes de uso compartido de una raíz de auditoría, incluidas las restricciones de su
+ * Unidad Compartida (como administrador de dominio) si pertenece a una.
+ * @param {string} idElemento - ID de la unidad o carpeta raíz.
+ * @return {Object} Ajustes (ver "extraerAjustesUsoCompartido").
+ */
+function leerAjustesUsoCompartidoDrive(idElemento) {
+    const archivo = Drive.Files.get(idElemento, {
+        supportsAllDrives: true,
+        fields: 'id, driveId, inheritedPermissionsDisabled, copyRequiresWriterPermission'
+    });
+    if (archivo.driveId) {
+        archivo.restrictions = leerRestriccionesUnidad(archivo.driveId);
+    }
+    return extraerAjustesUsoCompartido(archivo);
+}
+
+/**
+ * Lee las restricciones de una Unidad Compartida como administrador de dominio.
+ * @param {string} idUnidad - ID de la Unidad Compartida.
+ * @return {Object|null} Recurso `restrictions` de Drive API, o null si no se pudo leer.
+ */
+function leerRestriccionesUnidad(idUnidad) {
+    try {
+        return Drive.Drives.get(idUnidad, { useDomainAdminAccess: true, fields: 'restrictions' }).restrictions || {};
+    } catch (error) {
+        Logger.log(`[Uso compartido] No se pudieron leer las restricciones de la unidad ${idUnidad}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Compara los ajustes de un elemento con los de su padre y evalúa los accesos que se desvían del padre,
+ * devolviendo un hallazgo por cada ajuste que merece revisión.
+ * Un ajuste solo diverge si ambos niveles lo informan: los conjuntos guardados antes de esta lectura no lo traen.
+ * @param {Object} conjuntoPadre - Conjunto de permisos (con `ajustes`) de la carpeta contenedora.
+ * @param {Object} conjuntoHijo - Conjunto de permisos (con `ajustes`) del elemento evaluado.
+ * @param {Array} permisosDesviados - Permisos normalizados del hijo que no coinciden con el padre.
+ * @param {string} dominioOrganizacion - Dominio principal de la organización.
+ * @return {Array} Lista de { tipoRiesgo, peso, principal } donde principal queda vacío en los ajustes del elemento.
+ */
+function evaluarAjustesUsoCompartido(conjuntoPadre, conjuntoHijo, permisosDesviados, dominioOrganizacion) {
+    const hallazgos = [];
+    const agregar = (tipoRiesgo, principal) => {
+        hallazgos.push({ tipoRiesgo: tipoRiesgo, peso: MATRIZ_SEVERIDAD_AJUSTES[tipoRiesgo], principal: principal || '' });
+    };
+
+    const ajustesPadre = conjuntoPadre.ajustes || {};
+    const ajustesHijo = conjuntoHijo.ajustes || {};
+    const informado = valor => valor === true || valor === false;
+    const diverge = campo => informado(ajustesPadre[campo]) && informado(ajustesHijo[campo]) && ajustesPadre[campo] !== ajustesHijo[campo];
+
+    // Cada ajuste se reporta con su propio tipo cuando se relaja respecto al padre, y como restricción cuando se endurece.
+    // El acceso limitado solo cuenta en el elemento que lo activa: sus hijos heredan normalmente de él. Las restricciones
+    // de la Unidad Compartida rigen igual para todo su contenido: se reportan una vez, en la raíz (ver "construirFilaRestriccionesUnidad").
+    if (diverge('accesoLimitado') && ajustesHijo.accesoLimitado) {
+        agregar('Acceso Limitado');
+    }
+    if (diverge('copiaRequiereEditor')) {
+        agregar(ajustesHijo.copiaRequiereEditor ? 'Ajuste más Restrictivo' : 'Copia sin Restricción');
+    }
+
+    // Ajustes propios de cada acceso: solo se evalúan los que ya se desvían del padre para no repetirlos en cada hijo
+    permisosDesviados.forEach(permiso => {
+        if (permiso.permiteDescubrimiento && (permiso.tipo === 'anyone' || permiso.tipo === 'domain')) {
+            agregar(permiso.tipo === 'anyone' ? 'Enlace Público Descubrible' : 'Dominio Descubrible', permiso.principal);
+        }
+        if (permiso.expiracion) {
+            agregar('Acceso con Expiración', permiso.principal);
+            return;
+        }
+        const tipoRiesgo = clasificarTipoRiesgo(permiso, dominioOrganizacion); // API_Riesgo.js
+        if ((tipoRiesgo === 'Dominio Externo' || tipoRiesgo === 'Dominio Socio') && (permiso.tipo === 'user' || permiso.tipo === 'group')) {
+            agregar('Acceso Externo sin Expiración', permiso.principal);
+        }
+    });
+
+    return hallazgos;
+}
+
+/**
+ * Evalúa las restricciones propias de la Unidad Compartida de una raíz: cada una desactivada es un hallazgo.
+ * @param {Object} ajustes - Ajustes de la raíz (ver "extraerAjustesUsoCompartido").
+ * @return {Array} Lista de { tipoRiesgo, peso, principal }; vacía fuera de una Unidad Compartida o si no se pudieron leer.
+ */
+function evaluarRestriccionesUnidad(ajustes) {
+    const hallazgos = [];
+    const agregar = tipoRiesgo => {
+        hallazgos.push({ tipoRiesgo: tipoRiesgo, peso: MATRIZ_SEVERIDAD_AJUSTES[tipoRiesgo], principal: '' });
+    };
+    if (ajustes && ajustes.soloUsuariosDominio === false) {
+        agregar('Unidad sin Restricción de Dominio');
+    }
+    if (ajustes && ajustes.soloMiembrosUnidad === false) {
+        agregar('Unidad Abierta a No Miembros');
+    }
+    return hallazgos;
+}
+
+/**
+ * Construye la fila de hallazgo de las restricciones de la Unidad Compartida auditada (una por unidad), con la
+ * severidad del peor ajuste desactivado según MATRIZ_SEVERIDAD_AJUSTES.
+ * @param {Object} conjuntoRaiz - Conjunto de permisos (con `ajustes`) de la raíz.
+ * @param {Object} elementoRaiz - { id, ruta, url } de la raíz.
+ * @param {string} modoSalida - 'CONSOLIDADO' o 'NORMALIZADO'.
+ * @return {Array|null} Fila lista para "volcarHallazgoAPaginacion" (API_SalidaDrive.js), o null si no hay hallazgo.
+ */
+function construirFilaRestriccionesUnidad(conjuntoRaiz, elementoRaiz, modoSalida) {
+    const hallazgos = evaluarRestriccionesUnidad(conjuntoRaiz.ajustes);
+    if (hallazgos.length === 0) {
+        return null;
+    }
+    const peor = hallazgos.reduce((actual, hallazgo) => (hallazgo.peso > actual.peso ? hallazgo : actual));
+    const severidad = NIVELES_SEVERIDAD[peor.peso];
+    const descripcion = describirAjustesRaiz(conjuntoRaiz.ajustes)[0][1];
+    if (modoSalida === 'NORMALIZADO') {
+        return [elementoRaiz.id, elementoRaiz.ruta, MimeType.FOLDER, descripcion, 'unidad', '', 'Restricciones de la Unidad', '', peor.tipoRiesgo, severidad, elementoRaiz.url];
+    }
+    return [elementoRaiz.ruta, elementoRaiz.url, 'Unidad Compartida', descripcion, peor.tipoRiesgo, severidad, elementoRaiz.id, '', '', describirAjustesUsoCompartido(hallazgos), ''];
+}
+
+/**
+ * Resume los hallazgos de ajustes en el texto de la columna "Ajustes de Uso Compartido" (tipos sin repetir).
+ * @param {Array} hallazgosAjustes - Resultado de "evaluarAjustesUsoCompartido".
+ * @return {string} Ej. "Acceso Limitado, Acceso Externo sin Expiración".
+ */
+function describirAjustesUsoCompartido(hallazgosAjustes) {
+    return Array.from(new Set(hallazgosAjustes.map(hallazgo => hallazgo.tipoRiesgo))).join(', ');
+}
+
+/**
+ * Traduce los ajustes de una raíz a las líneas de cabecera del reporte visual.
+ * @param {Object} ajustes - Ajustes (ver "extraerAjustesUsoCompartido").
+ * @return {Array} Lista de [etiqueta, descripción]; las restricciones solo aparecen si la raíz está en una Unidad Compartida.
+ */
+function describirAjustesRaiz(ajustes) {
+    const siNo = valor => (valor ? 'Sí' : 'No');
+    const lineas = [];
+    if (ajustes.soloUsuariosDominio !== null) {
+        lineas.push(['Restricciones de la Unidad', `Solo usuarios del dominio: ${siNo(ajustes.soloUsuariosDominio)}${ajustes.soloUsuariosDominio ? '' : ' - [PERMITE ACCESOS EXTERNOS]'} | Solo miembros de la unidad: ${siNo(ajustes.soloMiembrosUnidad)} | Copia solo para editores: ${siNo(ajustes.copiaSoloEditoresUnidad)}`]);
+    }
+    lineas.push(['Ajustes de la Raíz', `Acceso limitado: ${siNo(ajustes.accesoLimitado)} | Copia, descarga e impresión solo para editores: ${siNo(ajustes.copiaRequiereEditor)}`]);
+    return lineas;
+}
@@ -0,0 +1,187 @@
+/**
+ * Archivo: Cfg_Configuracion.js
+ * Propósito: Lee los ajustes editables desde la hoja "Configuración" del libro, los valida y aplica los
+ * valores por defecto de Cfg_Constantes.js. Todos los módulos consultan sus ajustes con "obtenerAjuste".
+ */
+
+// Caché por ejecución: la hoja se lee una sola vez por cada invocación del script.
+let configuracionEnCache = null;
+
+/**
+ * Define los ajustes editables, su tipo, sus límites y su valor por defecto. Se arma dentro de una función
+ * porque Apps Script carga este archivo antes que Cfg_Constantes.js (orden alfabético).
+ * @return {Array} Lista de { clave, tipo, porDefecto, descripcion, minimo?, maximo?, opciones?, patron?, longitud? }.
+ */
+function obtenerDefinicionConfiguracion() {
+    return [
+        { clave: 'minutosMaximosEjecucion', tipo: 'entero', porDefecto: TIEMPO_MAXIMO_EJECUCION_MS / 60000, minimo: 1, maximo: 29, descripcion: 'Minutos de trabajo por ejecución antes de pausar (Workspace corta a los 30).' },
+        { clave: 'limiteFilasPorParticion', tipo: 'entero', porDefecto: LIMITE_FILAS_POR_HOJA_REPORTE, minimo: 100, maximo: 200000, descripcion: 'Filas por libro de reporte antes de abrir la "(Parte N)" siguiente.' },
+        { clave: 'prefijoCarpetaAuditoria', tipo: 'texto', porDefecto: PREFIJO_CARPETA_AUDITORIA, patron: /^[^'\\]+$/, descripcion: 'Prefijo del nombre de las carpetas de reportes (sin comillas simples).' },
+        { clave: 'modoSalidaReporte', tipo: 'opcion', porDefecto: MODO_SALIDA_REPORTE, opciones: ['CONSOLIDADO', 'NORMALIZADO'], descripcion: 'Formato de los libros de reporte de las auditorías nuevas.' },
+        { clave: 'cabecerasReporteConsolidado', tipo: 'lista', porDefecto: CABECERAS_REPORTE_TECNICO, longitud: CABECERAS_REPORTE_TECNICO.length, descripcion: 'Títulos de las columnas del formato consolidado, separados por coma y en el mismo orden.' },
+        { clave: 'cabecerasReporteNormalizado', tipo: 'lista', porDefecto: CABECERAS_REPORTE_NORMALIZADO, longitud: CABECERAS_REPORTE_NORMALIZADO.length, descripcion: 'Títulos de las columnas del formato normalizado, separados por coma y en el mismo orden.' },
+        { clave: 'dominiosSociosConfianza', tipo: 'lista', porDefecto: DOMINIOS_SOCIOS_CONFIANZA, patron: /^[a-z0-9.-]+\.[a-z]{2,}$/i, descripcion: 'Dominios externos de confianza (riesgo menor que un dominio externo cualquiera).' },
+        { clave: 'carpetasExcluidas', tipo: 'lista', porDefecto: CARPETAS_EXCLUIDAS_RASTREO, patron: /^[\w-]{10,}$/, descripcion: 'IDs de carpetas cuyo contenido el rastreo no debe recorrer (sus propios permisos sí se auditan).' },
+        { clave: 'patronesExclusion', tipo: 'lista', porDefecto: PATRONES_EXCLUSION_ALCANCE, descripcion: 'Patrones glob de elementos a omitir con todo su contenido. Sin "/" se comparan con el nombre (ej. Archivo*); con "/" con la ruta completa (ej. Unidad/Histórico/**).' },
+        { clave: 'profundidadMaxima', tipo: 'entero', porDefecto: PROFUNDIDAD_MAXIMA_RASTREO, minimo: 0, maximo: 100, descripcion: 'Niveles bajo la raíz que se auditan (1 = solo los hijos directos). 0 = sin límite.' },
+        { clave: 'tiposMimeIncluidos', tipo: 'lista', porDefecto: TIPOS_MIME_INCLUIDOS, patron: /^[\w.+*-]+\/[\w.+*-]+$/, descripcion: 'Si tiene valores, solo se auditan los archivos de estos tipos MIME (admite comodín, ej. image/*). No aplica a carpetas.' },
+        { clave: 'tiposMimeExcluidos', tipo: 'lista', porDefecto: TIPOS_MIME_EXCLUIDOS, patron: /^[\w.+*-]+\/[\w.+*-]+$/, descripcion: 'Tipos MIME de archivos que no se auditan (admite comodín, ej. image/*).' },
+        { clave: 'destinatariosNotificacion', tipo: 'lista', porDefecto: DESTINATARIOS_NOTIFICACION, patron: /^[^@\s,]+@[^@\s,]+\.[^@\s,]+$/, descripcion: 'Correos que reciben los avisos de fin, pausa y error crítico.' },
+        { clave: 'urlWebhookNotificacion', tipo: 'texto', porDefecto: URL_WEBHOOK_NOTIFICACION, patron: /^https:\/\/\S+$/, descripcion: 'Webhook entrante (Google Chat, Slack, etc.). Vacío = desactivado.' },
+        { clave: 'minutosEntreNotificaciones', tipo: 'entero', porDefecto: MINUTOS_ENTRE_NOTIFICACIONES, minimo: 0, maximo: 1440, descripcion: 'Mínimo de minutos entre dos avisos de pausa.' },
+        { clave: 'minutosEsperaReanudacion', tipo: 'entero', porDefecto: MINUTOS_ESPERA_REANUDACION, minimo: 1, maximo: 60, descripcion: 'Minutos entre una pausa y la reanudación automática en segundo plano.' },
+        { clave: 'topCarpetasTablero', tipo: 'entero', porDefecto: TOP_CARPETAS_TABLERO, minimo: 1, maximo: 500, descripcion: 'Carpetas más expuestas que se listan en el tablero.' },
+        { clave: 'megabytesMaximosExportacion', tipo: 'entero', porDefecto: TAMANO_MAXIMO_EXPORTACION_BYTES / (1024 * 1024), minimo: 1, maximo: 45, descripcion: 'Tamaño máximo de cada archivo exportado antes de abrir la "(Parte N)" siguiente.' }
+    ];
+}
+
+/**
+ * Devuelve el valor vigente de un ajuste (el de la hoja si es válido, si no el valor por defecto).
+ * @param {string} clave - Clave del ajuste (ver "obtenerDefinicionConfiguracion").
+ * @return {*} Número, texto o lista según el tipo del ajuste.
+ */
+function obtenerAjuste(clave) {
+    const configuracion = obtenerConfiguracion();
+    if (!(clave in configuracion.valores)) {
+        throw new Error(`Ajuste de configuración desconocido: "${clave}".`);
+    }
+    return configuracion.valores[clave];
+}
+
+/**
+ * Lee y valida la hoja de configuración una vez por ejecución.
+ * @param {boolean} [recargar] - true para descartar la caché (ej. justo después de editar la hoja).
+ * @return {Object} { valores: Object clave -> valor, errores: Array<{ clave, fila, mensaje }> }.
+ */
+function obtenerConfiguracion(recargar) {
+    if (configuracionEnCache && !recargar) {
+        return configuracionEnCache;
+    }
+
+    const definicion = obtenerDefinicionConfiguracion();
+    const valoresHoja = leerValoresHojaConfiguracion();
+    const configuracion = { valores: {}, errores: [] };
+
+    definicion.forEach(ajuste => {
+        const celda = valoresHoja[ajuste.clave];
+        if (!celda || String(celda.valor).trim() === '') {
+            configuracion.valores[ajuste.clave] = ajuste.porDefecto;
+            return;
+        }
+        const resultado = interpretarValorAjuste(ajuste, celda.valor);
+        if (resultado.error) {
+            Logger.log(`[Configuración] ${ajuste.clave} (fila ${celda.fila}): ${resultado.error} Se usa el valor por defecto.`);
+            configuracion.errores.push({ clave: ajuste.clave, fila: celda.fila, mensaje: resultado.error });
+            configuracion.valores[ajuste.clave] = ajuste.porDefecto;
+            return;
+        }
+        configuracion.valores[ajuste.clave] = resultado.valor;
+    });
+
+    configuracionEnCache = configuracion;
+    return configuracion;
+}
+
+/**
+ * Lee los pares clave/valor de la hoja NOMBRE_HOJA_CONFIGURACION. Sin libro activo o sin hoja devuelve un mapa vacío.
+ * @return {Object} Mapa clave -> { valor, fila }.
+ */
+function leerValoresHojaConfiguracion() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const hojaConfiguracion = ss ? ss.getSheetByName(NOMBRE_HOJA_CONFIGURACION) : null;
+    const valoresHoja = {};
+    if (!hojaConfiguracion || hojaConfiguracion.getLastRow() < 2) {
+        return valoresHoja;
+    }
+
+    hojaConfiguracion.getRange(2, 1, hojaConfiguracion.getLastRow() - 1, 2).getValues().forEach((fila, indice) => {
+        const clave = String(fila[0]).trim();
+        if (clave) {
+            valoresHoja[clave] = { valor: fila[1], fila: indice + 2 };
+        }
+    });
+    return valoresHoja;
+}
+
+/**
+ * Convierte el valor de una celda al tipo del ajuste y comprueba sus límites.
+ * @param {Object} ajuste - Entrada de "obtenerDefinicionConfiguracion".
+ * @param {*} valorCelda - Valor crudo leído de la hoja.
+ * @return {Object} { valor } si es válido o { error: string } si no lo es.
+ */
+function interpretarValorAjuste(ajuste, valorCelda) {
+    const texto = String(valorCelda).trim();
+
+    if (ajuste.tipo === 'entero') {
+        const numero = Number(texto);
+        if (!Number.isInteger(numero)) {
+            return { error: `"${texto}" no es un número entero.` };
+        }
+        if (numero < ajuste.minimo || numero > ajuste.maximo) {
+            return { error: `${numero} está fuera del rango permitido (${ajuste.minimo} a ${ajuste.maximo}).` };
+        }
+        return { valor: numero };
+    }
+
+    if (ajuste.tipo === 'opcion') {
+        const opcion = texto.toUpperCase();
+        if (ajuste.opciones.indexOf(opcion) < 0) {
+            return { error: `"${texto}" no es una opción válida (${ajuste.opciones.join(', ')}).` };
+        }
+        return { valor: opcion };
+    }
+
+    if (ajuste.tipo === 'lista') {
+        const elementos = texto.split(',').map(elemento => elemento.trim()).filter(elemento => elemento);
+        const invalido = ajuste.patron ? elementos.find(elemento => !ajuste.patron.test(elemento)) : undefined;
+        if (invalido !== undefined) {
+            return { error: `"${invalido}" no tiene un formato válido.` };
+        }
+        // Hojas creadas antes de añadir columnas al reporte: las nuevas toman su título por defecto
+        if (ajuste.longitud && elementos.length < ajuste.longitud && Array.isArray(ajuste.porDefecto)) {
+            elementos.push(...ajuste.porDefecto.slice(elementos.length));
+        }
+        if (ajuste.longitud && elementos.length !== ajuste.longitud) {
+            return { error: `Se esperaban ${ajuste.longitud} elementos y hay ${elementos.length}.` };
+        }
+        // Las cabeceras se ubican por nombre al releer los libros: no pueden repetirse
+        if (ajuste.longitud && new Set(elementos).size !== elementos.length) {
+            return { error: 'Hay elementos repetidos.' };
+        }
+        return { valor: elementos };
+    }
+
+    if (ajuste.patron && !ajuste.patron.test(texto)) {
+        return { error: `"${texto}" no tiene un formato válido.` };
+    }
+    return { valor: texto };
+}
+
+/**
+ * Crea la hoja de configuración con los valores por defecto o, si ya existe, le agrega los ajustes que falten
+ * (ej. tras actualizar el script) sin tocar los valores que el usuario ya editó.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Sheet} La hoja de configuración.
+ */
+function asegurarHojaConfiguracion(ss) {
+    let hojaConfiguracion = ss.getSheetByName(NOMBRE_HOJA_CONFIGURACION);
+    if (!hojaConfiguracion) {
+        hojaConfiguracion = ss.insertSheet(NOMBRE_HOJA_CONFIGURACION);
+        hojaConfiguracion.appendRow(CABECERAS_CONFIGURACION);
+        hojaConfiguracion.setFrozenRows(1);
+        hojaConfiguracion.getRange(1, 1, 1, CABECERAS_CONFIGURACION.length).setFontWeight('bold');
+    }
+
+    const valoresHoja = leerValoresHojaConfiguracion();
+    const formatear = valor => (Array.isArray(valor) ? valor.join(', ') : valor);
+    const filasFaltantes = obtenerDefinicionConfiguracion()
+        .filter(ajuste => !valoresHoja[ajuste.clave])
+        .map(ajuste => [ajuste.clave, formatear(ajuste.porDefecto), ajuste.descripcion, formatear(ajuste.porDefecto)]);
+
+    if (filasFaltantes.length > 0) {
+        hojaConfiguracion.getRange(hojaConfiguracion.getLastRow() + 1, 1, filasFaltantes.length, CABECERAS_CONFIGURACION.length)
+            .setValues(filasFaltantes);
+        hojaConfiguracion.autoResizeColumn(1);
+    }
+    return hojaConfiguracion;
+}
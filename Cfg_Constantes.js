@@ -1,6 +1,8 @@
 /**
  * Archivo: Cfg_Constantes.js
  * Propósito: Almacena las variables globales y configuraciones del proyecto.
+ * Los valores que el auditor puede cambiar son solo los de por defecto: se leen con "obtenerAjuste"
+ * (Cfg_Configuracion.js), que prioriza lo escrito en la hoja "Configuración".
  */
 
 const NOMBRE_HOJA_REPORTE = 'Reporte de Permisos';
@@ -12,7 +14,160 @@ const TIEMPO_MAXIMO_EJECUCION_MS = 20 * 60 * 1000;
 // Configuración de la Nueva Arquitectura de Salida (Paginación en Drive)
 const PREFIJO_CARPETA_AUDITORIA = '[Auditoría]';
 const LIMITE_FILAS_POR_HOJA_REPORTE = 50000; // Al rebasar, se crea la "(Parte 2)", etc.
-const CABECERAS_REPORTE_TECNICO = ['Ruta Escaneada', 'Enlace', 'Tipo (Doc/Folder)', 'Usuarios Encontrados (Roles)'];
+// Sheets no admite más de 50.000 caracteres por celda: los conjuntos JSON más largos se guardan en un archivo aparte
+const LIMITE_CARACTERES_CELDA = 45000;
+const PREFIJO_CELDA_EN_ARCHIVO = 'ARCHIVO:';
+const CABECERAS_REPORTE_TECNICO = ['Ruta Escaneada', 'Enlace', 'Tipo (Doc/Folder)', 'Usuarios Encontrados (Roles)', 'Tipo de Riesgo', 'Severidad', 'ID Elemento', 'Permisos del Padre (JSON)', 'Permisos del Elemento (JSON)', 'Ajustes de Uso Compartido', 'Destino de Acceso Directo'];
 
 // Propiedad heredada que se mantiene por limpieza (puede ser opcional en nuevas instalaciones).
 const CLAVE_ESTADO_LEGADO = 'DRIVE_AUDIT_STATE';
+
+
+// Modo desatendido: el worker agenda su propia reanudación con disparadores de tiempo.
+const FUNCION_REANUDACION_AUTOMATICA = 'reanudarAuditoriaDesatendida';
+const MINUTOS_ESPERA_REANUDACION = 1;
+const CLAVE_MODO_DESATENDIDO = 'DRIVE_AUDIT_MODO_DESATENDIDO';
+
+// Modelo de permisos completo (Drive API v3): campos solicitados y jerarquía de roles de menor a mayor privilegio.
+const CAMPOS_PERMISO_DRIVE = 'id, type, role, emailAddress, domain, displayName, allowFileDiscovery, expirationTime, permissionDetails';
+const JERARQUIA_ROLES_DRIVE = ['reader', 'commenter', 'writer', 'fileOrganizer', 'organizer', 'owner'];
+const ETIQUETAS_ROLES_DRIVE = {
+    reader: 'Visualizador',
+    commenter: 'Comentador',
+    writer: 'Editor',
+    fileOrganizer: 'Administrador de contenido',
+    organizer: 'Administrador',
+    owner: 'Propietario'
+};
+
+// Clasificación de riesgo de los hallazgos. Los dominios socios se tratan como externos de confianza.
+const DOMINIOS_SOCIOS_CONFIANZA = []; // Ej. ['proveedor.com', 'aliado.org']
+const NIVELES_SEVERIDAD = ['Informativa', 'Baja', 'Media', 'Alta', 'Crítica']; // Índice = peso de la severidad
+const MATRIZ_SEVERIDAD_RIESGO = {
+    'Enlace Público': { escritura: 4, lectura: 3 },
+    'Dominio Externo': { escritura: 3, lectura: 2 },
+    'Dominio Socio': { escritura: 2, lectura: 1 },
+    'Grupo': { escritura: 2, lectura: 1 },
+    'Usuario Interno': { escritura: 1, lectura: 0 },
+    'Restricción de Acceso': { escritura: 0, lectura: 0 }
+};
+// Ajustes de uso compartido que se reportan como hallazgos propios (ver API_UsoCompartido.js): peso fijo en NIVELES_SEVERIDAD.
+const MATRIZ_SEVERIDAD_AJUSTES = {
+    'Enlace Público Descubrible': 4,
+    'Unidad sin Restricción de Dominio': 3,
+    'Acceso Externo sin Expiración': 2,
+    'Copia sin Restricción': 2,
+    'Unidad Abierta a No Miembros': 2,
+    'Dominio Descubrible': 1,
+    'Acceso Limitado': 1,
+    'Acceso con Expiración': 0,
+    'Ajuste más Restrictivo': 0
+};
+// Accesos directos: se audita su destino y se marca según dónde vive (ver API_AccesosDirectos.js).
+const MATRIZ_SEVERIDAD_ACCESOS_DIRECTOS = {
+    'Destino Externo al Dominio': 3,
+    'Destino fuera de la Unidad': 2,
+    'Acceso Directo en Bucle': 1,
+    'Destino Inaccesible': 1,
+    'Acceso Directo': 0
+};
+const MAXIMO_SALTOS_ACCESO_DIRECTO = 5; // Eslabones seguidos como máximo al resolver una cadena de accesos directos
+
+// Remediación de hallazgos: vista previa (dry-run) y registro de deshacer.
+const CLAVE_ULTIMA_CARPETA_AUDITORIA = 'DRIVE_AUDIT_ULTIMA_CARPETA';
+const NOMBRE_HOJA_VISTA_REMEDIACION = 'Remediación (Vista Previa)';
+const NOMBRE_HOJA_REGISTRO_DESHACER = 'Registro Deshacer';
+const CABECERAS_VISTA_REMEDIACION = ['Ruta', 'ID Elemento', 'Acción', 'Principal', 'Tipo Principal', 'Rol Actual', 'Rol Objetivo', 'Severidad'];
+const CABECERAS_REGISTRO_DESHACER = ['Fecha', 'ID Elemento', 'Ruta', 'Acción', 'ID Permiso', 'Principal', 'Rol Original', 'Rol Aplicado', 'Permiso Original (JSON)', 'Estado'];
+
+// Comparación entre dos corridas de auditoría de la misma unidad.
+const NOMBRE_HOJA_COMPARACION = 'Comparación de Auditorías';
+const CABECERAS_COMPARACION = ['Cambio', 'ID Elemento', 'Ruta', 'Principal', 'Rol Anterior', 'Rol Actual', 'Tipo de Riesgo', 'Severidad'];
+
+// Resumen por unidad (auditoría de una o de todas las Unidades Compartidas del dominio).
+const NOMBRE_HOJA_RESUMEN_UNIDADES = 'Resumen por Unidad';
+const CABECERAS_RESUMEN_UNIDADES = ['ID Unidad', 'Nombre', 'Estado', 'Elementos Escaneados', 'Hallazgos', 'Carpeta de Reportes', 'Última Actualización', 'Subcarpetas Omitidas', 'Archivos Omitidos'];
+
+// Etiquetas de la cabecera raíz según el tipo de elemento auditado (ver "resolverTipoRaiz").
+const ETIQUETAS_TIPO_RAIZ = {
+    UNIDAD: 'Unidad Compartida (Raíz/Nivel 0)',
+    SUBCARPETA_UNIDAD: 'Subcarpeta de Unidad Compartida (Raíz/Nivel 0)',
+    MI_UNIDAD: 'Carpeta de Mi unidad (Raíz/Nivel 0)'
+};
+
+// Rastreo paginado con Drive.Files.list: hijos leídos por página (cada página es un punto de control en la cola).
+const TAMANO_PAGINA_RASTREO = 200;
+const CAMPOS_ELEMENTO_RASTREO = `id, name, mimeType, webViewLink, driveId, hasAugmentedPermissions, inheritedPermissionsDisabled, copyRequiresWriterPermission, shortcutDetails(targetId, targetMimeType), permissions(${CAMPOS_PERMISO_DRIVE})`;
+
+// Escritura por lotes: filas de cola leídas por lectura, hallazgos acumulados y frecuencia de los puntos de control.
+const TAMANO_LOTE_COLA = 100;
+const LIMITE_BUFER_HALLAZGOS = 500;
+const INTERVALO_PUNTO_CONTROL_MS = 2 * 60 * 1000;
+
+// Formato de salida de los libros de reporte: 'CONSOLIDADO' (una fila por elemento, roles unidos en una celda)
+// o 'NORMALIZADO' (una fila por elemento, principal y rol). Se fija al iniciar cada auditoría.
+const MODO_SALIDA_REPORTE = 'CONSOLIDADO';
+const CABECERAS_REPORTE_NORMALIZADO = ['ID Elemento', 'Ruta', 'Tipo MIME', 'Principal', 'Tipo Principal', 'Rol', 'Origen', 'Rol en el Padre', 'Tipo de Riesgo', 'Severidad', 'Enlace'];
+
+// Índice de particiones y tablero resumen en el libro principal.
+const NOMBRE_HOJA_INDICE_PARTICIONES = 'Índice de Reportes';
+const CABECERAS_INDICE_PARTICIONES = ['ID Unidad', 'Rama', 'Parte', 'Enlace', 'Filas', 'ID Libro'];
+const NOMBRE_HOJA_TABLERO = 'Tablero de Auditoría';
+const TOP_CARPETAS_TABLERO = 20; // Carpetas más expuestas que se listan en el tablero
+
+// Exportación final de hallazgos (CSV y JSON por líneas) para herramientas SIEM/GRC.
+const VERSION_ESQUEMA_EXPORTACION = '1.0';
+const TAMANO_MAXIMO_EXPORTACION_BYTES = 10 * 1024 * 1024; // Al rebasarlo se abre un nuevo archivo (Parte N)
+const NOMBRE_MANIFIESTO_EXPORTACION = 'manifiesto.json';
+const CLAVE_FINALIZACION_AUDITORIA = 'DRIVE_AUDIT_FINALIZACION'; // Pasos del cierre ya hechos: { pasos, unidadesExportadas }
+
+// Notificaciones de fin, pausa o error crítico (correo y webhook JSON opcional).
+const DESTINATARIOS_NOTIFICACION = []; // Ej. ['seguridad@dominio.com']
+const URL_WEBHOOK_NOTIFICACION = ''; // Webhook entrante (Google Chat, Slack, etc.). Vacío = desactivado
+const MINUTOS_ENTRE_NOTIFICACIONES = 60; // Mínimo entre dos avisos de pausa durante una corrida larga
+const PREFIJO_CLAVE_ULTIMA_NOTIFICACION = 'DRIVE_AUDIT_NOTIFICACION_';
+
+// Alcance del rastreo: elementos que se omiten (ver API_Alcance.js). Listas vacías y profundidad 0 = sin restricción.
+const PATRONES_EXCLUSION_ALCANCE = []; // Globs, ej. ['Archivo*', 'Unidad/Histórico/**']
+const PROFUNDIDAD_MAXIMA_RASTREO = 0;
+const CARPETAS_EXCLUIDAS_RASTREO = [];
+const TIPOS_MIME_INCLUIDOS = []; // Ej. ['application/vnd.google-apps.document', 'application/vnd.google-apps.spreadsheet']
+const TIPOS_MIME_EXCLUIDOS = []; // Ej. ['image/*', 'video/*']
+
+// Auditoría fuera de línea sobre instantáneas JSON del árbol y sus permisos (ver API_FuenteDatos.js).
+const VERSION_ESQUEMA_INSTANTANEA = '1.1'; // 1.1: destinos de los accesos directos en "destinos"
+const PREFIJO_ARCHIVO_INSTANTANEA = '[Instantánea]';
+
+// Índice principal -> elementos que se arma durante el rastreo (un libro por rama) y su consulta (ver API_IndicePrincipales.js).
+const PREFIJO_LIBRO_INDICE_PRINCIPALES = 'Índice de Principales';
+const CABECERAS_INDICE_PRINCIPALES = ['ID Elemento', 'Ruta', 'Tipo MIME', 'Enlace', 'Principales', 'Accesos (JSON)'];
+const PREFIJO_HOJA_ACCESOS_PRINCIPAL = 'Accesos - ';
+const CABECERAS_ACCESOS_PRINCIPAL = ['Principal', 'Tipo Principal', 'Rol', 'Origen', 'Ruta', 'Tipo MIME', 'ID Elemento', 'Enlace', 'Unidad'];
+
+// Panel lateral de progreso y cancelación (ver API_Progreso.js y UI_Panel.html).
+const NOMBRE_ARCHIVO_PANEL = 'UI_Panel';
+const CLAVE_PROGRESO_AUDITORIA = 'DRIVE_AUDIT_PROGRESO';
+const CLAVE_CANCELACION_AUDITORIA = 'DRIVE_AUDIT_CANCELACION';
+const INTERVALO_CONSULTA_CANCELACION_MS = 15 * 1000; // El worker revisa la solicitud de cancelación como mucho con esta frecuencia
+const SEGUNDOS_REFRESCO_PANEL = 5;
+
+// Historial de ejecuciones y registro de errores por elemento, con reintentos ante errores transitorios (ver API_Historial.js).
+const NOMBRE_HOJA_HISTORIAL = 'Historial de Ejecuciones';
+const CABECERAS_HISTORIAL = ['ID Ejecución', 'Inicio', 'Fin', 'ID Unidad', 'Unidad', 'Resultado', 'Elementos', 'Hallazgos', 'Errores', 'Detalle'];
+const NOMBRE_HOJA_ERRORES = 'Errores de Auditoría';
+const CABECERAS_ERRORES = ['Fecha', 'ID Ejecución', 'ID Unidad', 'ID Elemento', 'Ruta', 'Operación', 'Mensaje', 'Transitorio', 'Intentos', 'Estado', 'Reencolado (JSON)'];
+const MAXIMO_INTENTOS_TRANSITORIOS = 5; // Primer intento más 4 reintentos
+const ESPERA_BASE_REINTENTO_MS = 1000; // Se duplica en cada reintento (1 s, 2 s, 4 s, 8 s) más un margen aleatorio
+const PATRON_ERROR_TRANSITORIO = /rate ?limit|backenderror|backend error|internal error|service unavailable|temporarily unavailable|timed? ?out|try again|\b(429|500|502|503|504)\b/i;
+
+// Auditoría incremental con Drive.Changes (ver API_Incremental.js) y bloqueo para que dos ejecuciones no procesen la cola a la vez.
+const PREFIJO_CLAVE_PUNTO_CAMBIOS = 'DRIVE_AUDIT_CAMBIOS_'; // + ID de la unidad: { token, idDrive, idCarpetaMaestra, nombre, fecha, pendiente }
+const TAMANO_PAGINA_CAMBIOS = 100; // Cambios leídos por paso: sus IDs viajan en la fila de depuración de esa página
+const MAXIMO_CAMBIOS_POR_FILA = 20; // Elementos cambiados de una misma carpeta que viajan juntos en una fila de la cola
+const MAXIMO_CARPETAS_REEVALUADAS = 800; // Carpetas ya encoladas que recuerda la lectura de cambios (cabe en la celda del tracker)
+const ESPERA_BLOQUEO_COLA_MS = 10 * 1000;
+const MENSAJE_COLA_OCUPADA = 'Otra ejecución está procesando la cola en este momento (por ejemplo, un tramo en segundo plano). Siga su avance en el "Panel de Progreso".';
+
+// Hoja de ajustes editables por los auditores (ver Cfg_Configuracion.js).
+const NOMBRE_HOJA_CONFIGURACION = 'Configuración';
+const CABECERAS_CONFIGURACION = ['Clave', 'Valor', 'Descripción', 'Valor por Defecto'];
@@ -0,0 +1,46 @@
+/**
+ * Archivo: UI_AccesosPrincipal.js
+ * Propósito: Punto de entrada del menú para consultar el índice de principales de la última auditoría
+ * y escribir en una hoja nueva todo lo que alcanza un usuario, grupo o dominio.
+ */
+
+/**
+ * Pide un correo o dominio y vuelca sus accesos (rol y origen directo/heredado) en la hoja "Accesos - <consulta>".
+ */
+function consultarAccesosPrincipal() {
+    const tiempoEmpezadoMS = new Date().getTime();
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const respuesta = ui.prompt('Accesos de un Principal', 'Ingrese el correo de un usuario o grupo, un dominio (ej. proveedor.com) o "anyone" para los enlaces públicos:', ui.ButtonSet.OK_CANCEL);
+    if (respuesta.getSelectedButton() !== ui.Button.OK || !respuesta.getResponseText().trim()) {
+        ui.alert('Consulta cancelada a petición.');
+        return;
+    }
+    const consulta = respuesta.getResponseText().trim().toLowerCase();
+
+    const resultado = buscarAccesosPrincipal(ss, consulta, tiempoEmpezadoMS); // API_IndicePrincipales.js
+    if (resultado.librosLeidos === 0) {
+        ui.alert('No se encontraron índices de principales. Ejecute una auditoría completa antes de consultar.');
+        return;
+    }
+
+    // Una hoja por consulta; repetir la misma consulta la reemplaza (los nombres de hoja admiten hasta 100 caracteres)
+    const nombreHoja = `${PREFIJO_HOJA_ACCESOS_PRINCIPAL}${consulta}`.substring(0, 100);
+    const hojaAnterior = ss.getSheetByName(nombreHoja);
+    if (hojaAnterior) {
+        ss.deleteSheet(hojaAnterior);
+    }
+    const hojaAccesos = ss.insertSheet(nombreHoja);
+    hojaAccesos.appendRow(CABECERAS_ACCESOS_PRINCIPAL);
+    hojaAccesos.setFrozenRows(1);
+    hojaAccesos.getRange(1, 1, 1, CABECERAS_ACCESOS_PRINCIPAL.length).setFontWeight('bold');
+    if (resultado.filas.length > 0) {
+        hojaAccesos.getRange(2, 1, resultado.filas.length, CABECERAS_ACCESOS_PRINCIPAL.length).setValues(resultado.filas);
+    }
+    hojaAccesos.activate();
+
+    const directos = resultado.filas.filter(fila => fila[3] === 'Directo').length;
+    const avisoIncompleto = resultado.completo ? '' : '\n\nATENCIÓN: el tiempo de ejecución se agotó antes de leer todos los índices; el resultado es parcial.';
+    ui.alert(`Consulta terminada para "${consulta}".\n- Accesos encontrados: ${resultado.filas.length}\n- Directos: ${directos}\n- Heredados: ${resultado.filas.length - directos}\n- Libros índice leídos: ${resultado.librosLeidos}${avisoIncompleto}`);
+}
@@ -0,0 +1,73 @@
+/**
+ * Archivo: UI_Comparacion.js
+ * Propósito: Punto de entrada del menú para elegir dos corridas de auditoría de una misma unidad
+ * y escribir el reporte delta en una hoja del libro actual.
+ */
+
+/**
+ * Pide la unidad y las dos corridas a comparar, y vuelca las diferencias en NOMBRE_HOJA_COMPARACION.
+ */
+function compararAuditorias() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    // 1. Unidad a comparar
+    const respuestaUnidad = ui.prompt('Comparar Auditorías', 'Ingrese el ID o enlace de la Unidad Compartida o carpeta cuyas corridas desea comparar:', ui.ButtonSet.OK_CANCEL);
+    if (respuestaUnidad.getSelectedButton() !== ui.Button.OK || !respuestaUnidad.getResponseText()) {
+        ui.alert('Comparación cancelada a petición.');
+        return;
+    }
+    const idUnidad = extraerIdDrive(respuestaUnidad.getResponseText());
+
+    const corridas = listarCorridasAuditoria(idUnidad); // API_SalidaDrive.js
+    if (corridas.length < 2) {
+        ui.alert(`Se encontraron ${corridas.length} corrida(s) para esa unidad. Se necesitan al menos dos auditorías para comparar.`);
+        return;
+    }
+
+    // 2. Selección de las dos corridas (por defecto las dos más recientes)
+    const listado = corridas.map((corrida, indice) => `${indice + 1}. ${corrida.nombre}`).join('\n');
+    const respuestaCorridas = ui.prompt('Elegir Corridas', `${listado}\n\nIngrese los números de las dos corridas separados por coma (vacío = 1,2):`, ui.ButtonSet.OK_CANCEL);
+    if (respuestaCorridas.getSelectedButton() !== ui.Button.OK) {
+        ui.alert('Comparación cancelada a petición.');
+        return;
+    }
+    const seleccion = (respuestaCorridas.getResponseText().trim() || '1,2').split(',').map(numero => parseInt(numero, 10) - 1);
+    if (seleccion.length !== 2 || seleccion.some(indice => isNaN(indice) || !corridas[indice]) || seleccion[0] === seleccion[1]) {
+        ui.alert('Selección inválida. Debe indicar dos números distintos de la lista.');
+        return;
+    }
+
+    // La más antigua es la base, sin importar el orden en que se escribieron
+    const [corridaAnterior, corridaActual] = seleccion.map(indice => corridas[indice]).sort((a, b) => a.inicio.getTime() - b.inicio.getTime());
+
+    // 3. Delta por ID de elemento
+    let resultado;
+    try {
+        resultado = compararHallazgosCorridas(
+            leerHallazgosDeCarpeta(corridaAnterior.idCarpeta), // API_SalidaDrive.js
+            leerHallazgosDeCarpeta(corridaActual.idCarpeta)
+        ); // API_Comparacion.js
+    } catch (error) {
+        Logger.log(`[Comparación] No se pudieron leer las corridas de ${idUnidad}: ${error.message}`);
+        ui.alert(`No se pudieron leer los hallazgos de las corridas elegidas:\n${error.message}`);
+        return;
+    }
+
+    let hojaComparacion = ss.getSheetByName(NOMBRE_HOJA_COMPARACION);
+    if (hojaComparacion) {
+        hojaComparacion.clear();
+    } else {
+        hojaComparacion = ss.insertSheet(NOMBRE_HOJA_COMPARACION);
+    }
+    hojaComparacion.appendRow([`Base: ${corridaAnterior.nombre}`, corridaAnterior.url, `Comparada: ${corridaActual.nombre}`, corridaActual.url]);
+    hojaComparacion.appendRow(CABECERAS_COMPARACION);
+    hojaComparacion.setFrozenRows(2);
+    hojaComparacion.getRange(2, 1, 1, CABECERAS_COMPARACION.length).setFontWeight('bold');
+    if (resultado.filas.length > 0) {
+        hojaComparacion.getRange(3, 1, resultado.filas.length, CABECERAS_COMPARACION.length).setValues(resultado.filas);
+    }
+    hojaComparacion.activate();
+
+    ui.alert(`Comparación terminada.\n- Exposiciones nuevas: ${resultado.nuevas}\n- Exposiciones eliminadas: ${resultado.eliminadas}\n- Elementos con roles cambiados: ${resultado.modificadas}`);
+}
@@ -0,0 +1,33 @@
+/**
+ * Archivo: UI_Configuracion.js
+ * Propósito: Punto de entrada del menú para crear o revisar la hoja de configuración y señalar los ajustes inválidos.
+ */
+
+/**
+ * Abre la hoja NOMBRE_HOJA_CONFIGURACION (creándola con los valores por defecto si no existe),
+ * resalta las filas con valores inválidos y resume los problemas encontrados.
+ */
+function abrirConfiguracion() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const hojaConfiguracion = asegurarHojaConfiguracion(ss); // Cfg_Configuracion.js
+    const configuracion = obtenerConfiguracion(true);
+
+    // Resaltado de validación: se limpia la columna "Valor" y se marcan solo las filas con error
+    const columnaValor = CABECERAS_CONFIGURACION.indexOf('Valor') + 1;
+    if (hojaConfiguracion.getLastRow() > 1) {
+        hojaConfiguracion.getRange(2, columnaValor, hojaConfiguracion.getLastRow() - 1, 1).setBackground(null).clearNote();
+    }
+    configuracion.errores.forEach(error => {
+        hojaConfiguracion.getRange(error.fila, columnaValor).setBackground('#f4cccc').setNote(error.mensaje);
+    });
+    hojaConfiguracion.activate();
+
+    if (configuracion.errores.length === 0) {
+        ui.alert('Configuración válida. Los cambios se aplican desde la próxima ejecución (las auditorías en curso conservan su formato de salida).');
+        return;
+    }
+    const detalle = configuracion.errores.map(error => `- ${error.clave}: ${error.mensaje}`).join('\n');
+    ui.alert(`Hay ${configuracion.errores.length} ajuste(s) inválido(s); mientras no se corrijan se usa su valor por defecto:\n\n${detalle}`);
+}
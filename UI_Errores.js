@@ -0,0 +1,65 @@
+/**
+ * Archivo: UI_Errores.js
+ * Propósito: Punto de entrada del menú para volver a encolar los elementos que fallaron en la auditoría
+ * (registrados en la hoja de errores) y reanudar el worker sobre ellos.
+ */
+
+/**
+ * Reencola los errores pendientes de la hoja NOMBRE_HOJA_ERRORES: las carpetas o elementos del recorrido vuelven
+ * a la cola tal como estaban al fallar, y las raíces que no se pudieron leer vuelven como raíces pendientes.
+ * Los hallazgos se agregan a los libros de la auditoría actual. Después arranca "continuarAuditoria".
+ */
+function reintentarErrores() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    let pendientes = leerErroresPendientes(ss); // API_Historial.js
+    if (pendientes.length === 0) {
+        ui.alert(`No hay errores pendientes de reintento en "${NOMBRE_HOJA_ERRORES}".`);
+        return;
+    }
+
+    if (!ss.getSheetByName(NOMBRE_HOJA_REPORTE)) {
+        ui.alert(`Falta la hoja "${NOMBRE_HOJA_REPORTE}" de la auditoría a la que pertenecen los errores. Inicie una auditoría nueva.`);
+        return;
+    }
+
+    const filasReencoladas = [];
+    let hojaDeCola;
+    const colaLibre = ejecutarConBloqueoCola(() => { // API_Cola.js
+        // Al completarse la auditoría la cola se elimina: se recrea vacía sin tocar reportes, resumen ni índices
+        hojaDeCola = ss.getSheetByName(NOMBRE_HOJA_COLA) || crearHojaCola(ss); // UI_Menu.js
+        pendientes = leerErroresPendientes(ss); // Releídos con la cola bloqueada: otra ejecución pudo reencolarlos ya
+        const filasCola = [];
+        pendientes.forEach(pendiente => {
+            const reencolado = pendiente.reencolado;
+            if (reencolado.tipo === 'FILA_COLA') {
+                filasCola.push(reencolado.fila);
+            } else if (reencolado.tipo === 'RAIZ') {
+                // El worker la resuelve al llegar a ella; si vuelve a fallar, queda con su propia fila de error
+                filasCola.push(construirFilaRaizPendiente(reencolado.idUnidad, pendiente.ruta, reencolado.descriptorFuente, reencolado.idCarpetaMaestra)); // UI_Menu.js
+            } else {
+                Logger.log(`[Errores] Tipo de reencolado desconocido en la fila ${pendiente.numeroFila}: ${reencolado.tipo}`);
+                return;
+            }
+            filasReencoladas.push(pendiente.numeroFila);
+        });
+
+        if (filasCola.length > 0) {
+            hojaDeCola.getRange(hojaDeCola.getLastRow() + 1, 1, filasCola.length, filasCola[0].length).setValues(filasCola);
+        }
+        marcarEstadoErrores(ss, filasReencoladas, 'Reencolado'); // API_Historial.js
+        descartarEstadoFinalizacion(); // API_Finalizacion.js (el cierre se rehace con los nuevos hallazgos)
+        SpreadsheetApp.flush();
+    });
+    if (!colaLibre) {
+        ui.alert(MENSAJE_COLA_OCUPADA);
+        return;
+    }
+
+    ui.alert(`Se reencolaron ${filasReencoladas.length} de ${pendientes.length} errores pendientes. Los que vuelvan a fallar quedarán de nuevo en "${NOMBRE_HOJA_ERRORES}".\n\nLa auditoría se reanuda ahora sobre ellos.`);
+
+    if (hojaDeCola.getLastRow() > 1) {
+        continuarAuditoria(); // UI_Menu.js
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Archivo: UI_Incremental.js
+ * Propósito: Punto de entrada del menú para la auditoría incremental: revisa solo lo que cambió en Drive desde la última
+ * auditoría completa de cada unidad y actualiza sus hallazgos, en lugar de recorrer de nuevo el árbol entero.
+ */
+
+/**
+ * Pide la unidad a revisar (o todas las que tienen punto de partida), encola la lectura de sus cambios y arranca el worker.
+ * Los hallazgos se actualizan en la carpeta de la auditoría anterior: se quitan los obsoletos y se agregan libros
+ * "Reporte - Incremental <fecha> (Parte N)".
+ */
+function iniciarAuditoriaIncremental() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const avisoColaPendiente = 'Hay una auditoría con trabajo pendiente en la cola. Termínela con "Continuar Auditoría" o descártela con "Limpiar Estado" antes de una auditoría incremental.';
+    if (colaConTrabajoPendiente(ss)) {
+        ui.alert(avisoColaPendiente);
+        return;
+    }
+
+    const puntos = listarPuntosCambios(); // API_Incremental.js
+    if (puntos.length === 0) {
+        ui.alert('Ninguna unidad tiene punto de partida para una auditoría incremental. Complete primero una auditoría en vivo de la unidad.');
+        return;
+    }
+
+    const listado = puntos.map(punto => `- ${punto.nombre} (${punto.idUnidad}), revisada el ${punto.fecha}`).join('\n');
+    const respuesta = ui.prompt('Auditoría Incremental', `Unidades con punto de partida:\n${listado}\n\nIngrese el ID o enlace de una de ellas, o deje vacío para revisar todas:`, ui.ButtonSet.OK_CANCEL);
+    if (respuesta.getSelectedButton() !== ui.Button.OK) {
+        ui.alert('Auditoría cancelada a petición.');
+        return;
+    }
+    const idElegido = extraerIdDrive(respuesta.getResponseText()); // UI_Menu.js
+    const seleccion = idElegido ? puntos.filter(punto => punto.idUnidad === idElegido) : puntos;
+    if (seleccion.length === 0) {
+        ui.alert(`La unidad ${idElegido} no tiene punto de partida. Ejecute primero una auditoría completa en vivo.`);
+        return;
+    }
+
+    let colaOcupadaAlPreparar = false;
+    const colaLibre = ejecutarConBloqueoCola(() => { // API_Cola.js
+        // Se comprueba de nuevo con la cola bloqueada: pudo llenarse mientras se respondía el prompt
+        if (colaConTrabajoPendiente(ss)) {
+            colaOcupadaAlPreparar = true;
+            return;
+        }
+
+        // Se conservan el reporte visual, el resumen y el índice de particiones de la auditoría anterior
+        const hojaReporte = ss.getSheetByName(NOMBRE_HOJA_REPORTE) || inicializarHojaReporte(ss); // UI_Menu.js
+        const hojaDeCola = ss.getSheetByName(NOMBRE_HOJA_COLA) || crearHojaCola(ss); // UI_Menu.js
+        reiniciarProgresoAuditoria(); // API_Progreso.js
+        descartarEstadoFinalizacion(); // API_Finalizacion.js (el cierre se rehace con los hallazgos actualizados)
+        const unidadesEnResumen = leerResumenUnidades(ss).map(unidad => unidad.idUnidad); // API_SalidaDrive.js
+
+        // Una fila por unidad: el worker lee sus cambios por tramos y encola detrás lo que haya que reevaluar y depurar
+        const filasCola = seleccion.map(punto => construirFilaCambiosPendientes(punto)); // API_Incremental.js
+        hojaDeCola.getRange(hojaDeCola.getLastRow() + 1, 1, filasCola.length, filasCola[0].length).setValues(filasCola);
+        seleccion.forEach(punto => {
+            if (unidadesEnResumen.indexOf(punto.idUnidad) < 0) {
+                registrarUnidadEnResumen(ss, punto.idUnidad, punto.nombre, 'En cola', punto.idCarpetaMaestra); // API_SalidaDrive.js
+            }
+            hojaReporte.appendRow(['*** AUDITORÍA INCREMENTAL ***', `https://drive.google.com/drive/folders/${punto.idCarpetaMaestra}`, `${punto.nombre}: cambios desde ${punto.fecha}`, 'Cambios en cola de lectura']);
+        });
+        SpreadsheetApp.flush();
+    });
+    if (!colaLibre) {
+        ui.alert(MENSAJE_COLA_OCUPADA);
+        return;
+    }
+    if (colaOcupadaAlPreparar) {
+        ui.alert(avisoColaPendiente);
+        return;
+    }
+
+    const listadoEncolado = seleccion.map(punto => `- ${punto.nombre}`).join('\n');
+    ui.alert(`Auditoría incremental en cola:\n${listadoEncolado}\n\nLa auditoría se reanuda ahora: lee los cambios de cada unidad, reevalúa los elementos cambiados y quita los hallazgos obsoletos. El detalle de cada unidad queda en "${NOMBRE_HOJA_REPORTE}".`);
+
+    // Aun sin cambios, el worker cierra la corrida: resumen, tablero, exportación y nuevo punto de partida
+    continuarAuditoria(); // UI_Menu.js
+}
+
+/**
+ * Indica si la cola tiene filas pendientes de una auditoría anterior.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {boolean} true si la hoja de cola existe y tiene filas además de la cabecera.
+ */
+function colaConTrabajoPendiente(ss) {
+    const hojaDeCola = ss.getSheetByName(NOMBRE_HOJA_COLA);
+    return Boolean(hojaDeCola && hojaDeCola.getLastRow() > 1);
+}
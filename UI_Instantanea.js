@@ -0,0 +1,81 @@
+/**
+ * Archivo: UI_Instantanea.js
+ * Propósito: Puntos de entrada del menú para capturar una instantánea JSON de una unidad en vivo
+ * y para auditar una instantánea guardada con el mismo motor y los mismos reportes que una auditoría normal.
+ */
+
+/**
+ * Pide la Unidad Compartida o carpeta y guarda su árbol con los permisos de cada elemento en un archivo JSON.
+ */
+function capturarInstantaneaUnidad() {
+    const tiempoEmpezadoMS = new Date().getTime();
+    const ui = SpreadsheetApp.getUi();
+
+    const respuesta = ui.prompt('Capturar Instantánea', 'Ingrese el ID o enlace de la Unidad Compartida o carpeta a capturar:', ui.ButtonSet.OK_CANCEL);
+    if (respuesta.getSelectedButton() !== ui.Button.OK || !respuesta.getResponseText()) {
+        ui.alert('Captura cancelada a petición.');
+        return;
+    }
+    const idRaiz = extraerIdDrive(respuesta.getResponseText()); // UI_Menu.js
+
+    let resultado;
+    try {
+        resultado = capturarInstantaneaDrive(idRaiz, tiempoEmpezadoMS); // API_FuenteDatos.js
+    } catch (error) {
+        Logger.log(`[Instantánea] Fallo al capturar ${idRaiz}: ${error.message}`);
+        ui.alert(`No se pudo capturar la instantánea. Error de sistema: ${error.message}`);
+        return;
+    }
+
+    const avisoIncompleta = resultado.completa
+        ? ''
+        : `\n\nATENCIÓN: el tiempo de ejecución se agotó y ${resultado.carpetasPendientes} carpeta(s) quedaron sin capturar. La instantánea está marcada como incompleta.`;
+    ui.alert(`Instantánea guardada con ${resultado.elementos} elementos:\n${resultado.url}${avisoIncompleta}`);
+}
+
+/**
+ * Pide un archivo de instantánea y lo audita fuera de línea: el rastreo lee el árbol y los permisos guardados
+ * en lugar de consultar Drive, y los hallazgos se escriben en una carpeta de reportes como cualquier corrida.
+ */
+function iniciarAuditoriaDesdeInstantanea() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const respuesta = ui.prompt('Auditar desde Instantánea', 'Ingrese el ID o enlace del archivo JSON de la instantánea:', ui.ButtonSet.OK_CANCEL);
+    if (respuesta.getSelectedButton() !== ui.Button.OK || !respuesta.getResponseText()) {
+        ui.alert('Auditoría cancelada a petición.');
+        return;
+    }
+    const descriptorFuente = { tipo: 'INSTANTANEA', idArchivo: extraerIdDrive(respuesta.getResponseText()) };
+
+    let idRaiz;
+    try {
+        const fuenteDatos = obtenerFuenteDatos(descriptorFuente); // API_FuenteDatos.js
+        idRaiz = fuenteDatos.idRaiz;
+        fuenteDatos.resolverRaiz(idRaiz);
+    } catch (error) {
+        Logger.log(`[Instantánea] Archivo ${descriptorFuente.idArchivo} no utilizable: ${error.message}`);
+        ui.alert(`El archivo indicado no es una instantánea válida. Error de sistema: ${error.message}`);
+        return;
+    }
+
+    let resultadoRaiz;
+    const colaLibre = ejecutarConBloqueoCola(() => { // API_Cola.js
+        limpiarEstadoAuditoria(true); // UI_Menu.js
+        const { hojaReporte, hojaDeCola } = prepararInfraestructuraAuditoria(ss);
+        resultadoRaiz = encolarRaizUnidad(idRaiz, hojaReporte, descriptorFuente); // UI_Menu.js
+        if (resultadoRaiz.exito) {
+            hojaDeCola.appendRow(resultadoRaiz.filaCola);
+        }
+    });
+    if (!colaLibre) {
+        ui.alert(MENSAJE_COLA_OCUPADA);
+        return;
+    }
+    if (!resultadoRaiz.exito) {
+        ui.alert(`No se pudo iniciar la auditoría de la instantánea. Error de sistema: ${resultadoRaiz.error.message}`);
+        return;
+    }
+
+    continuarAuditoria();
+}
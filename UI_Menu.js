@@ -22,112 +22,389 @@ function crearMenuAuditoria() {
     const ui = SpreadsheetApp.getUi();
     ui.createMenu('Auditoría de Drive')
         .addItem('Iniciar Auditoría de Permisos', 'iniciarAuditoria')
+        .addItem('Auditar todas las Unidades', 'iniciarAuditoriaTodasLasUnidades')
+        .addItem('Auditar desde Instantánea', 'iniciarAuditoriaDesdeInstantanea')
+        .addItem('Auditoría Incremental', 'iniciarAuditoriaIncremental')
         .addItem('Continuar Auditoría', 'continuarAuditoria')
+        .addItem('Continuar en Segundo Plano', 'iniciarModoDesatendido')
+        .addItem('Panel de Progreso', 'abrirPanelAuditoria')
+        .addItem('Reintentar errores', 'reintentarErrores')
         .addSeparator()
+        .addItem('Remediar Hallazgos', 'remediarHallazgos')
+        .addItem('Restaurar Permisos Remediados', 'restaurarPermisosRemediados')
+        .addItem('Comparar Dos Auditorías', 'compararAuditorias')
+        .addItem('Consultar Accesos de un Principal', 'consultarAccesosPrincipal')
+        .addItem('Actualizar Tablero', 'actualizarTableroAuditoria')
+        .addItem('Capturar Instantánea de Unidad', 'capturarInstantaneaUnidad')
+        .addSeparator()
+        .addItem('Configuración', 'abrirConfiguracion')
         .addItem('Limpiar Estado', 'limpiarEstadoAuditoria')
         .addToUi();
 }
 
+/**
+ * Muestra un mensaje al usuario o, si el proceso corre sin interfaz (disparador de tiempo o panel lateral), solo lo registra.
+ * En ambos casos queda como último mensaje del progreso, visible en el panel lateral.
+ * @param {string} mensaje - Texto a comunicar.
+ * @param {boolean} desatendido - true si la ejecución no debe mostrar alerts (sin hoja abierta, o lanzada desde el panel).
+ */
+function avisarUsuario(mensaje, desatendido) {
+    publicarProgresoAuditoria({ mensaje: mensaje }); // API_Progreso.js
+    if (desatendido) {
+        Logger.log(`[Desatendido] ${mensaje}`);
+        return;
+    }
+    SpreadsheetApp.getUi().alert(mensaje);
+}
+
+/**
+ * Extrae el ID de Drive de un texto pegado por el usuario, que puede ser el ID suelto o un enlace
+ * (ej. ".../drive/folders/<id>", ".../d/<id>/edit" o "...?id=<id>").
+ * @param {string} texto - Texto ingresado en un prompt.
+ * @return {string} El ID encontrado, o el texto recortado si no coincide con ningún formato de enlace.
+ */
+function extraerIdDrive(texto) {
+    const limpio = String(texto || '').trim();
+    const coincidencia = limpio.match(/\/folders\/([\w-]+)/) || limpio.match(/\/d\/([\w-]+)/) || limpio.match(/[?&]id=([\w-]+)/);
+    return coincidencia ? coincidencia[1] : limpio;
+}
+
+/**
+ * Activa la reanudación automática: el worker se agenda a sí mismo con disparadores de tiempo
+ * hasta vaciar la cola, sin necesidad de pulsar "Continuar Auditoría" en cada pausa.
+ */
+function iniciarModoDesatendido() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    if (!ss.getSheetByName(NOMBRE_HOJA_COLA)) {
+        ui.alert('No hay una auditoría en curso ("Queue_STATE" no detectada). Debes usar primero "Iniciar Auditoría de Permisos".');
+        return;
+    }
+
+    activarModoDesatendido(); // API_Disparadores.js
+    ui.alert(`Modo en segundo plano activado.\nLa auditoría se reanudará sola en ${obtenerAjuste('minutosEsperaReanudacion')} minuto(s) y seguirá agendándose hasta vaciar la cola. Puede cerrar esta pestaña.\n\nPara detenerla use "Limpiar Estado".`);
+}
+
+/**
+ * Reconstruye el tablero resumen a partir del índice de particiones (útil durante una auditoría en pausa).
+ */
+function actualizarTableroAuditoria() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    if (leerIndiceParticiones(ss).length === 0) {
+        ui.alert(`No hay particiones registradas en "${NOMBRE_HOJA_INDICE_PARTICIONES}". Ejecute primero una auditoría.`);
+        return;
+    }
+
+    const estadisticas = construirTableroAuditoria(ss); // API_Tablero.js
+    ss.getSheetByName(NOMBRE_HOJA_TABLERO).activate();
+    ui.alert(`Tablero actualizado con ${estadisticas.totalElementos} elementos de ${estadisticas.particiones} particiones.`);
+}
+
 /**
  * Borra el estado guardado (la hoja de cola) para poder reiniciar la auditoría desde cero sin errores.
+ * No borra nada mientras otra ejecución procesa la cola (ver "ejecutarConBloqueoCola").
  * @param {boolean} silencioso - Parámetro para forzar que el usuario no reciba notificaciones (alerts) visuales al terminar.
+ * @return {boolean} true si el estado se limpió; false si la cola estaba ocupada.
  */
 function limpiarEstadoAuditoria(silencioso) {
-    const ui = SpreadsheetApp.getUi();
     const ss = SpreadsheetApp.getActiveSpreadsheet();
 
-    // Borrar la hoja oculta que hace de cola local
-    const hojaDeCola = ss.getSheetByName(NOMBRE_HOJA_COLA);
-    if (hojaDeCola) {
-        ss.deleteSheet(hojaDeCola);
-    }
+    const limpiado = ejecutarConBloqueoCola(() => { // API_Cola.js
+        // Borrar la hoja oculta que hace de cola local
+        const hojaDeCola = ss.getSheetByName(NOMBRE_HOJA_COLA);
+        if (hojaDeCola) {
+            ss.deleteSheet(hojaDeCola);
+        }
 
-    // Limpiar rastros guardados de configuraciones de scripts antiguos (Legacy)
-    PropertiesService.getScriptProperties().deleteProperty(CLAVE_ESTADO_LEGADO);
+        // Limpiar rastros guardados de configuraciones de scripts antiguos (Legacy)
+        PropertiesService.getScriptProperties().deleteProperty(CLAVE_ESTADO_LEGADO);
+
+        // Retirar los disparadores de reanudación automática que pudieran seguir agendados
+        desactivarModoDesatendido();
+        retirarSolicitudCancelacion(); // API_Progreso.js
+        descartarEstadoFinalizacion(); // API_Finalizacion.js
+    });
+    if (!limpiado) {
+        Logger.log('Limpieza de estado rechazada: la cola está ocupada por otra ejecución.');
+        if (!silencioso) {
+            SpreadsheetApp.getUi().alert(`${MENSAJE_COLA_OCUPADA}\n\nDetenga la auditoría desde el panel antes de limpiar el estado.`);
+        }
+        return false;
+    }
 
     Logger.log('Estado limpiado desde interfaz.');
     if (!silencioso) {
-        ui.alert('Estado de auditoría limpiado con éxito (Hoja de Cola fue eliminada). Ya puede iniciar una fase nueva.');
+        SpreadsheetApp.getUi().alert('Estado de auditoría limpiado con éxito (Hoja de Cola fue eliminada). Ya puede iniciar una fase nueva.');
     }
+    return true;
 }
 
 /**
- * Analiza la Unidad Compartida pedida y empuja la primera capa al sistema de cola (Queue).
+ * Abre el panel lateral, cuyo formulario pide la Unidad Compartida o carpeta a examinar (ver "iniciarAuditoriaDesdePanel").
  */
 function iniciarAuditoria() {
-    const ui = SpreadsheetApp.getUi();
+    abrirPanelAuditoria(); // UI_Panel.js
+}
+
+/**
+ * Analiza la Unidad Compartida o carpeta pedida en el formulario del panel (ID o enlace), empuja la primera capa
+ * al sistema de cola (Queue) y arranca el worker. El avance se sigue en el panel en lugar de en alerts.
+ * @param {string} textoIdUnidad - ID o enlace ingresado en el formulario.
+ * @return {string} Último mensaje del worker (pausa o fin), para mostrarlo en el panel.
+ * @throws {Error} Si la raíz no se pudo leer, con la indicación para resolverlo.
+ */
+function iniciarAuditoriaDesdePanel(textoIdUnidad) {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (!String(textoIdUnidad || '').trim()) {
+        throw new Error('Ingrese el ID o enlace de la Unidad Compartida o carpeta a examinar.');
+    }
+
+    // 1. ID de la unidad objetivo (el formulario acepta también enlaces)
+    const idUnidadDrive = extraerIdDrive(textoIdUnidad);
+
+    // 2. Con la cola bloqueada: resetear el encolado actual, pre-crear las hojas base (reporte visual, resumen
+    // y cola oculta) e intentar consumir API de Google para encolar la raíz
+    let resultadoRaiz;
+    const colaLibre = ejecutarConBloqueoCola(() => { // API_Cola.js
+        limpiarEstadoAuditoria(true);
+        const { hojaReporte, hojaDeCola } = prepararInfraestructuraAuditoria(ss);
+        resultadoRaiz = encolarRaizUnidad(idUnidadDrive, hojaReporte);
+        if (resultadoRaiz.exito) {
+            hojaDeCola.appendRow(resultadoRaiz.filaCola);
+        }
+    });
+    if (!colaLibre) {
+        throw new Error(MENSAJE_COLA_OCUPADA);
+    }
+    if (!resultadoRaiz.exito) {
+        const error = resultadoRaiz.error;
+        const detalleFalla = `La conexión con dicha base/unidad Drive falló (ID de Drive proporcionado rechazado). Error de sistema: ${error.message}`;
+
+        // Indicaciones por contexto para que el usuario lo solucione desde consola externa si es necesario
+        publicarProgresoAuditoria({ estado: 'ERROR', mensaje: detalleFalla }); // API_Progreso.js
+        if (error.message.includes("Drive API has not been used")) {
+            throw new Error(`${detalleFalla}\n\n-> DEBE: Habilitar "Drive API V3" vía panel GCP Console asociado a su proyecto.`);
+        } else if (error.message.includes("Forbidden")) {
+            throw new Error(`${detalleFalla}\n\n-> DEBE: Solicite escalamiento de Perfil de 'Administrador' o permisos adecuados para entrar a tal Unidad Compartida Drive.`);
+        }
+        throw new Error(detalleFalla);
+    }
 
-    // 1. Resetear el sistema de encolado actual
-    limpiarEstadoAuditoria(true);
+    publicarProgresoAuditoria({ mensaje: `Motor analítico de permisos inicializado. La auditoría tiene de límite ${obtenerAjuste('minutosMaximosEjecucion')}m por tramo; si se pausa por volumen, use "Continuar" o "Continuar en Segundo Plano".` });
 
-    // 2. Pedir credenciales o IDs de la unidad objetivo
-    const respuestaUsuario = ui.prompt('ID de la Unidad Compartida', 'Ingrese por favor el ID oficial de la Unidad Compartida a examinar:', ui.ButtonSet.OK_CANCEL);
-    if (respuestaUsuario.getSelectedButton() !== ui.Button.OK || !respuestaUsuario.getResponseText()) {
+    continuarAuditoria({ desdePanel: true }); // Conecta ciclo #2
+    return leerProgresoAuditoria().mensaje;
+}
+
+/**
+ * Lista todas las Unidades Compartidas del dominio (como administrador), opcionalmente filtradas por nombre,
+ * y encola cada una como raíz independiente con su propia carpeta de reportes. Aquí solo se escriben filas de raíz
+ * pendiente (ver "construirFilaRaizPendiente"): el worker las resuelve por tramos, con su control de tiempo.
+ */
+function iniciarAuditoriaTodasLasUnidades() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    // 1. Filtro opcional por nombre
+    const respuestaFiltro = ui.prompt('Auditar todas las Unidades', 'Filtro por nombre (expresión regular, sin distinguir mayúsculas). Deje vacío para auditar todas las Unidades Compartidas del dominio:', ui.ButtonSet.OK_CANCEL);
+    if (respuestaFiltro.getSelectedButton() !== ui.Button.OK) {
         ui.alert('Auditoría cancelada a petición.');
         return;
     }
-    const idUnidadDrive = respuestaUsuario.getResponseText().trim();
 
-    // 3. Pre-crear o reiniciar la hoja base para el usuario visual
+    let patronNombre = null;
+    if (respuestaFiltro.getResponseText().trim()) {
+        try {
+            patronNombre = new RegExp(respuestaFiltro.getResponseText().trim(), 'i');
+        } catch (e) {
+            ui.alert(`El filtro no es una expresión regular válida: ${e.message}`);
+            return;
+        }
+    }
+
+    let unidades;
+    try {
+        unidades = listarUnidadesCompartidas(patronNombre); // API_Permisos.js
+    } catch (error) {
+        Logger.log(`Fallo al listar Unidades Compartidas del dominio: ${error.message}`);
+        ui.alert(`No se pudieron listar las Unidades Compartidas (se requiere perfil de Administrador). Error de sistema: ${error.message}`);
+        return;
+    }
+
+    if (unidades.length === 0) {
+        ui.alert('Ninguna Unidad Compartida coincide con el filtro indicado.');
+        return;
+    }
+
+    // 2. Con la cola bloqueada: resetear el encolado actual, infraestructura común y una raíz pendiente por unidad
+    const colaLibre = ejecutarConBloqueoCola(() => { // API_Cola.js
+        limpiarEstadoAuditoria(true);
+        const { hojaDeCola } = prepararInfraestructuraAuditoria(ss);
+        const filasRaiz = unidades.map(unidad => construirFilaRaizPendiente(unidad.id, unidad.name));
+        hojaDeCola.getRange(2, 1, filasRaiz.length, filasRaiz[0].length).setValues(filasRaiz);
+    });
+    if (!colaLibre) {
+        ui.alert(MENSAJE_COLA_OCUPADA);
+        return;
+    }
+
+    ui.alert(`Se encolaron ${unidades.length} Unidades Compartidas. Cada una se prepara (carpeta de reportes y permisos raíz) cuando el worker llega a ella; su avance queda en la hoja "${NOMBRE_HOJA_RESUMEN_UNIDADES}".\n\nPara recorridos de este volumen se recomienda "Continuar en Segundo Plano".`);
+
+    continuarAuditoria();
+}
+
+/**
+ * Crea (o reinicia) la hoja de reporte visual, la hoja de resumen por unidad y la hoja oculta de cola, y pone en cero el progreso.
+ * Los errores aún pendientes de la auditoría anterior se descartan (sus libros y su cola ya no aplican).
+ * Se invoca con el bloqueo de la cola tomado (ver "ejecutarConBloqueoCola" en API_Cola.js).
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Object} { hojaReporte: Sheet, hojaDeCola: Sheet }.
+ */
+function prepararInfraestructuraAuditoria(ss) {
+    const hojaReporte = inicializarHojaReporte(ss);
+
+    inicializarResumenUnidades(ss); // API_SalidaDrive.js
+    inicializarIndiceParticiones(ss);
+
+    descartarErroresPendientes(ss); // API_Historial.js
+
+    // Ocultar e inyectar datos raíz para la etapa paralela del proceso en segundo plano (Hoja Cola)
+    let hojaDeCola = ss.getSheetByName(NOMBRE_HOJA_COLA);
+    if (hojaDeCola) {
+        ss.deleteSheet(hojaDeCola); // Evitar colisiones pasadas
+    }
+    hojaDeCola = crearHojaCola(ss);
+
+    reiniciarProgresoAuditoria(); // API_Progreso.js (contadores del panel lateral en cero)
+
+    return { hojaReporte: hojaReporte, hojaDeCola: hojaDeCola };
+}
+
+/**
+ * Crea (o vacía) la hoja de reporte visual (NOMBRE_HOJA_REPORTE) con las cabeceras configuradas.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Sheet} La hoja de reporte.
+ */
+function inicializarHojaReporte(ss) {
     let hojaReporte = ss.getSheetByName(NOMBRE_HOJA_REPORTE);
     if (hojaReporte) {
         hojaReporte.clear();
     } else {
         hojaReporte = ss.insertSheet(NOMBRE_HOJA_REPORTE);
     }
-    const cabecerasReporte = ['Ruta Escaneada', 'Enlace', 'Tipo (Doc/Folder)', 'Usuarios Encontrados (Roles)'];
+    const cabecerasReporte = obtenerAjuste('cabecerasReporteConsolidado'); // Cfg_Configuracion.js
     hojaReporte.appendRow(cabecerasReporte);
     hojaReporte.setFrozenRows(1);
     hojaReporte.getRange(1, 1, 1, cabecerasReporte.length).setFontWeight('bold');
+    return hojaReporte;
+}
 
-    // 3b. Ocultar e inyectar datos raíz para la etapa paralela del proceso en segundo plano (Hoja Cola)
-    let hojaDeCola = ss.getSheetByName(NOMBRE_HOJA_COLA);
-    if (hojaDeCola) {
-        ss.deleteSheet(hojaDeCola); // Evitar colisiones pasadas
-    }
-    hojaDeCola = ss.insertSheet(NOMBRE_HOJA_COLA);
+/**
+ * Crea la hoja oculta de cola (NOMBRE_HOJA_COLA) vacía, solo con sus cabeceras.
+ * @param {Spreadsheet} ss - Libro activo.
+ * @return {Sheet} La hoja de cola.
+ */
+function crearHojaCola(ss) {
+    const hojaDeCola = ss.insertSheet(NOMBRE_HOJA_COLA);
     hojaDeCola.hideSheet(); // Solo para sistema, que no estorbe visualmente
-    const cabecerasDeCola = ['ID Componente', 'Ruta Virtual', 'URL Enlace', 'Caché de Permisos (JSON)', 'Raiz (bool)', 'Estado Paginacion Rama (JSON)'];
+    const cabecerasDeCola = ['ID Componente', 'Ruta Virtual', 'URL Enlace', 'Caché de Permisos (JSON)', 'Raiz (bool)', 'Estado Paginacion Rama (JSON)', 'Token de Página', 'Profundidad'];
     hojaDeCola.appendRow(cabecerasDeCola);
+    return hojaDeCola;
+}
 
+/**
+ * Construye una fila de raíz pendiente: la cola guarda solo la unidad y el worker la pasa por "encolarRaizUnidad"
+ * al llegar a ella, de modo que encolar muchas unidades (o reintentar raíces fallidas) no depende de una sola ejecución.
+ * @param {string} idUnidadDrive - ID de la Unidad Compartida o de la carpeta raíz.
+ * @param {string} nombre - Nombre para mostrar mientras está pendiente.
+ * @param {Object} [descriptorFuente] - Origen de los datos (ver "obtenerFuenteDatos"). Por defecto, Drive en vivo.
+ * @param {string} [idCarpetaMaestra] - Carpeta de reportes ya creada por un intento anterior, que se reutiliza.
+ * @return {Array} Fila con el formato de la cola y `etapa: 'RAIZ'` en su tracker.
+ */
+function construirFilaRaizPendiente(idUnidadDrive, nombre, descriptorFuente, idCarpetaMaestra) {
+    return construirFilaCola({ // API_Cola.js
+        idNode: idUnidadDrive,
+        rutaArmada: nombre,
+        urlVisita: '',
+        permisosCarpeta: null,
+        banderaRaiz: false,
+        trackerPaginacion: { etapa: 'RAIZ', idUnidad: idUnidadDrive, fuenteDatos: descriptorFuente || null, idCarpetaMaestra: idCarpetaMaestra || null },
+        tokenPagina: null,
+        profundidad: 0
+    });
+}
 
+/**
+ * Resuelve una Unidad Compartida o carpeta, crea su carpeta maestra, escribe la cabecera de permisos raíz en el reporte
+ * visual y arma su fila de raíz (Nivel 0) para la cola. Registra la unidad en la hoja de resumen.
+ * La fila no se escribe aquí: quien llama la agrega a la cola (el worker, en su punto de control, como cualquier otra).
+ * Para carpetas de Mi unidad la cabecera también informa los propietarios, marcando los ajenos al dominio.
+ * Si la raíz no se puede leer, queda en el resumen y en la hoja de errores y se avisa como error crítico.
+ * @param {string} idUnidadDrive - ID de la Unidad Compartida o de la carpeta raíz.
+ * @param {Sheet} hojaReporte - Hoja de reporte visual (NOMBRE_HOJA_REPORTE).
+ * @param {Object} [descriptorFuente] - Origen de los datos (ver "obtenerFuenteDatos"). Por defecto, Drive en vivo.
+ * @param {Object} [carpetaMaestra] - { id, alCrear(idCarpeta) }: carpeta ya creada por un intento anterior (se reutiliza)
+ * y aviso inmediato tras crearla, para que quien llama la guarde antes de seguir.
+ * @return {Object} { exito: boolean, nombreDrive: string, idCarpetaMaestra: string, error: Error|null, filaCola: Array|null }.
+ */
+function encolarRaizUnidad(idUnidadDrive, hojaReporte, descriptorFuente, carpetaMaestra) {
     let nombreDrive = "Unidad Compartida Genérica";
-    let carpetaRaizDrive;
+    let fuenteDatos;
     let urlRaizDrive;
     let idCarpetaMadreDrive;
+    let permisosGeneralesRaiz;
+    let idDriveRaiz = null;
 
-    // 4. Intentar consumir API de Google
     try {
-        const infoAvanzadaDrive = Drive.Drives.get(idUnidadDrive, { useDomainAdminAccess: true });
-        nombreDrive = infoAvanzadaDrive.name;
-
-        // Crear el contenedor físico en Drive usando el nuevo motor
-        idCarpetaMadreDrive = instanciarCarpetaMaestra(nombreDrive);
+        fuenteDatos = obtenerFuenteDatos(descriptorFuente); // API_FuenteDatos.js
+        const infoRaiz = fuenteDatos.resolverRaiz(idUnidadDrive);
+        const esRaizDeUnidad = infoRaiz.tipoRaiz === 'UNIDAD';
+        const esInstantanea = fuenteDatos.descriptor.tipo === 'INSTANTANEA';
+        nombreDrive = infoRaiz.nombre;
+        urlRaizDrive = infoRaiz.url;
+        idDriveRaiz = infoRaiz.idDrive || null;
+
+        // Crear el contenedor físico en Drive usando el nuevo motor (o reutilizar el de un intento cortado)
+        idCarpetaMadreDrive = carpetaMaestra && carpetaMaestra.id;
+        if (!idCarpetaMadreDrive) {
+            idCarpetaMadreDrive = instanciarCarpetaMaestra(esInstantanea ? `${nombreDrive} (Instantánea)` : nombreDrive, idUnidadDrive, fuenteDatos.metadatos);
+            if (carpetaMaestra && carpetaMaestra.alCrear) {
+                carpetaMaestra.alCrear(idCarpetaMadreDrive);
+            }
+        }
+        PropertiesService.getScriptProperties().setProperty(CLAVE_ULTIMA_CARPETA_AUDITORIA, idCarpetaMadreDrive);
         hojaReporte.appendRow(['*** CARPETA DE REPORTES EN DRIVE ***', `https://drive.google.com/drive/folders/${idCarpetaMadreDrive}`, 'Directorio', '']);
+        if (esInstantanea) {
+            hojaReporte.appendRow(['*** AUDITORÍA SOBRE INSTANTÁNEA ***', `https://drive.google.com/file/d/${fuenteDatos.descriptor.idArchivo}/view`, `Capturada ${fuenteDatos.metadatos.capturada}`, fuenteDatos.metadatos.completa ? '' : 'Instantánea incompleta: algunas carpetas no se capturaron']);
+        }
         hojaReporte.appendRow(['---', '---', '---', '---']);
 
-        carpetaRaizDrive = DriveApp.getFolderById(idUnidadDrive);
-        urlRaizDrive = carpetaRaizDrive.getUrl();
+        // Detalles crudos nativos sin cache (todas las páginas; como administrador de dominio solo en la raíz de una unidad)
+        const permisosNativosRaiz = fuenteDatos.listarPermisos(idUnidadDrive, esRaizDeUnidad);
 
-        // Detalles crudos nativos sin cache
-        const permisosNativosRaiz = Drive.Permissions.list(idUnidadDrive, {
-            supportsAllDrives: true,
-            useDomainAdminAccess: true,
-            fields: 'permissions(id, emailAddress, role, type, domain, permissionDetails)'
-        });
+        hojaReporte.appendRow([nombreDrive, urlRaizDrive, ETIQUETAS_TIPO_RAIZ[infoRaiz.tipoRaiz], '--- Base Analizada de Todos los Permisos ---']);
 
-        hojaReporte.appendRow([nombreDrive, urlRaizDrive, 'Unidad Compartida (Raíz/Nivel 0)', '--- Base Analizada de Todos los Permisos ---']);
+        if (infoRaiz.tipoRaiz === 'MI_UNIDAD') {
+            const dominioOrganizacion = Session.getEffectiveUser().getEmail().split('@')[1];
+            const propietariosTexto = infoRaiz.propietarios.map(propietario => {
+                const esExterno = (propietario.correo || '').split('@')[1] !== dominioOrganizacion;
+                return `${propietario.correo || propietario.nombre || 'Propietario sin correo visible'}${esExterno ? ' - [EXTERNO AL DOMINIO]' : ''}`;
+            }).join(', ');
+            hojaReporte.appendRow([nombreDrive, urlRaizDrive, 'Propietario (Mi unidad)', propietariosTexto || 'Propietario no visible para la cuenta ejecutora']);
+        }
 
-        if (permisosNativosRaiz.permissions && permisosNativosRaiz.permissions.length > 0) {
+        if (permisosNativosRaiz.length > 0) {
             // Tabulacion por cargo y tipos de entidades en la raiz inicial
             const directorioRoles = {};
-            permisosNativosRaiz.permissions.forEach(permiso => {
-                if (permiso.permissionDetails && permiso.permissionDetails[0] && permiso.permissionDetails[0].inherited) {
+            permisosNativosRaiz.forEach(permiso => {
+                if (esRaizDeUnidad && permiso.permissionDetails && permiso.permissionDetails[0] && permiso.permissionDetails[0].inherited) {
                     return; // Bloquear los que viajan en cascada externamente a este Drive (ej dominical)
                 }
 
-                const denominacionRol = permiso.role.charAt(0).toUpperCase() + permiso.role.slice(1);
+                const denominacionRol = ETIQUETAS_ROLES_DRIVE[permiso.role] || permiso.role;
                 let textoRepresentativo;
 
                 if (permiso.type === 'user') {
@@ -158,6 +435,14 @@ function iniciarAuditoria() {
             hojaReporte.appendRow([nombreDrive, urlRaizDrive, 'Unidad (Raíz Padre)', 'Drive Limpio - Carece de permisos asignados explícitamente a este nivel.']);
         }
 
+        // Conjunto base que heredan las ramas de Nivel 1 (dentro del try: en lote, una unidad ilegible no detiene a las demás)
+        permisosGeneralesRaiz = obtenerConjuntoPermisos(idUnidadDrive, esRaizDeUnidad, fuenteDatos); // Llama funcion importada de API_Permisos.js
+
+        // Ajustes de uso compartido de la raíz (restricciones de la unidad, acceso limitado, copia) contra los que se comparan las ramas
+        describirAjustesRaiz(permisosGeneralesRaiz.ajustes).forEach(([etiqueta, descripcion]) => { // API_UsoCompartido.js
+            hojaReporte.appendRow([nombreDrive, urlRaizDrive, etiqueta, descripcion]);
+        });
+
         hojaReporte.appendRow(['---', '---', '---', '---']);
         hojaReporte.appendRow(['(Búsqueda de Profundidad) Componentes con esquemas de acceso distintos a su estructura Padre superior:']);
         hojaReporte.appendRow(['---', '---', '---', '---']);
@@ -166,186 +451,544 @@ function iniciarAuditoria() {
         Logger.log(`API Bloqueada/Falló de forma prematura en acceso central: ${error.message}`);
         const detalleFalla = `La conexión con dicha base/unidad Drive falló (ID de Drive proporcionado rechazado). Error de sistema: ${error.message}`;
 
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
         hojaReporte.appendRow([idUnidadDrive, 'ERROR DE CRITICIDAD', 'Problema de Acceso', detalleFalla]);
-
-        // Alertas por contexto a usuario para que solucione desde consola externa si es necesario
-        if (error.message.includes("Drive API has not been used")) {
-            ui.alert(`${detalleFalla}\n\n-> DEBE: Habilitar "Drive API V3" vía panel GCP Console asociado a su proyecto.`);
-        } else if (error.message.includes("Forbidden")) {
-            ui.alert(`${detalleFalla}\n\n-> DEBE: Solicite escalamiento de Perfil de 'Administrador' o permisos adecuados para entrar a tal Unidad Compartida Drive.`);
-        } else {
-            ui.alert(detalleFalla);
-        }
-        return; // Kill proces
+        registrarUnidadEnResumen(ss, idUnidadDrive, nombreDrive, `Error de acceso: ${error.message}`, idCarpetaMadreDrive);
+        registrarErroresAuditoria(ss, [construirFilaError(generarIdEjecucion(new Date().getTime()), { // API_Historial.js
+            idUnidad: idUnidadDrive,
+            idElemento: idUnidadDrive,
+            ruta: nombreDrive,
+            operacion: 'Lectura de la raíz',
+            error: error,
+            reencolado: { tipo: 'RAIZ', idUnidad: idUnidadDrive, descriptorFuente: descriptorFuente || null, idCarpetaMaestra: idCarpetaMadreDrive || null }
+        })]);
+        notificarEventoAuditoria('ERROR_CRITICO', ss, `${idUnidadDrive}: ${error.message}`); // API_Notificaciones.js
+        return { exito: false, nombreDrive: nombreDrive, idCarpetaMaestra: idCarpetaMadreDrive, error: error, filaCola: null };
     }
 
-    // 5. Arranque real del worker inyectando el Root original al motor (Fila 2 en Backend de Cola)
-    const permisosGeneralesRaiz = obtenerConjuntoPermisos(carpetaRaizDrive); // Llama funcion importada de API_Permisos.js
-
+    // Arranque real del worker inyectando el Root original al motor (Fila en Backend de Cola)
     // N/A En la raíz porque es la Madre, luego las ramas derivantes inician sus libros vacíos.
-    const estadoPaginacionBase = { idSheet: null, filaActual: 1, ramaNombre: nombreDrive, parteActual: 0, idCarpetaRaiz: idCarpetaMadreDrive };
-
-    hojaDeCola.appendRow([
-        carpetaRaizDrive.getId(),
-        nombreDrive,
-        urlRaizDrive,
-        JSON.stringify(permisosGeneralesRaiz),
-        true,
-        JSON.stringify(estadoPaginacionBase)
-    ]);
-
-    ui.alert('Motor analítico de permisos inicializado de fondo.\nLa auditoría tiene de límite 20m.\n\nEn caso de interrupción prematura por volumen, por favor ejecute "Continuar Auditoría" del menú superior.');
+    const estadoPaginacionBase = { idSheet: null, filaActual: 1, ramaNombre: nombreDrive, parteActual: 0, idCarpetaRaiz: idCarpetaMadreDrive, idUnidad: idUnidadDrive, modoSalida: obtenerAjuste('modoSalidaReporte'), fuenteDatos: fuenteDatos.descriptor, idDrive: idDriveRaiz };
+
+    const filaCola = construirFilaCola({ // API_Cola.js
+        idNode: idUnidadDrive,
+        rutaArmada: nombreDrive,
+        urlVisita: urlRaizDrive,
+        permisosCarpeta: permisosGeneralesRaiz,
+        banderaRaiz: true,
+        trackerPaginacion: estadoPaginacionBase,
+        tokenPagina: null,
+        profundidad: 0 // Nivel 0: la raíz auditada
+    });
+
+    registrarUnidadEnResumen(SpreadsheetApp.getActiveSpreadsheet(), idUnidadDrive, nombreDrive, 'En cola', idCarpetaMadreDrive); // API_SalidaDrive.js
+
+    // Punto de partida de la próxima auditoría incremental (solo en vivo). Se toma antes del recorrido para que lo cambiado
+    // durante la auditoría también se revise después, y se confirma recién cuando la unidad se completa.
+    if (fuenteDatos.descriptor.tipo === 'DRIVE') {
+        try {
+            anotarPuntoCambiosPendiente(idUnidadDrive, { token: obtenerTokenInicioCambios(idDriveRaiz), idDrive: idDriveRaiz, idCarpetaMaestra: idCarpetaMadreDrive, nombre: nombreDrive }); // API_Incremental.js
+        } catch (error) {
+            Logger.log(`[Incremental] ${nombreDrive} queda sin punto de partida para auditorías incrementales: ${error.message}`);
+        }
+    }
+    return { exito: true, nombreDrive: nombreDrive, idCarpetaMaestra: idCarpetaMadreDrive, error: null, filaCola: filaCola };
+}
 
-    continuarAuditoria(); // Conecta ciclo #2
+/**
+ * Ejecuta el worker con el bloqueo de la cola tomado, para que un tramo agendado y uno manual (menú o panel)
+ * nunca procesen la cola al mismo tiempo. Si otra ejecución ya lo tiene, se avisa y no se hace nada.
+ * Si el worker termina con una excepción, el tramo queda en el historial como 'Fallida', se avisa como error crítico
+ * y el panel pasa a ERROR antes de relanzarla.
+ * @param {Object} [opciones] - Ver "procesarColaAuditoria".
+ */
+function continuarAuditoria(opciones) {
+    const tramo = { idEjecucion: null, tiempoEmpezadoMS: 0, contadoresPorUnidad: {}, registrado: false };
+    const colaLibre = ejecutarConBloqueoCola(() => { // API_Cola.js
+        try {
+            procesarColaAuditoria(opciones, tramo);
+        } catch (error) {
+            if (tramo.idEjecucion && !tramo.registrado) {
+                try {
+                    registrarEjecucionEnHistorial(SpreadsheetApp.getActiveSpreadsheet(), tramo.idEjecucion, tramo.tiempoEmpezadoMS, 'Fallida', tramo.contadoresPorUnidad, error.message); // API_Historial.js
+                } catch (errorHistorial) {
+                    Logger.log(`No se pudo registrar el tramo fallido en el historial: ${errorHistorial.message}`);
+                }
+            }
+            notificarEventoAuditoria('ERROR_CRITICO', SpreadsheetApp.getActiveSpreadsheet(), error.message); // API_Notificaciones.js
+            publicarProgresoAuditoria({ estado: 'ERROR', mensaje: `La auditoría se detuvo por un error: ${error.message}. La cola conserva el último punto de control.` }); // API_Progreso.js
+            throw error;
+        }
+    });
+    if (!colaLibre) {
+        const desatendido = Boolean(opciones && opciones.desatendido === true);
+        // El disparador que trajo este tramo ya se consumió: se deja otro por si la ejecución que tiene la cola muere
+        if (desatendido && modoDesatendidoActivo()) {
+            programarReanudacionAutomatica(obtenerAjuste('minutosMaximosEjecucion')); // API_Disparadores.js
+        }
+        avisarUsuario(MENSAJE_COLA_OCUPADA, desatendido || Boolean(opciones && opciones.desdePanel === true));
+    }
 }
 
 /**
  * Iterador cronometrado que lee de la base oculta Queue_STATE y aplica búsqueda
  * en anchura limitándose por tiempo definido a constantes para evadir bloqueos por exceso de cómputo.
+ * El avance se publica para el panel lateral, y el panel puede pedir que se detenga en el siguiente punto de control.
+ * Solo se invoca a través de "continuarAuditoria", que sostiene el bloqueo de la cola (ver "ejecutarConBloqueoCola").
+ * @param {Object} [opciones] - { desatendido: boolean, desdePanel: boolean }. En modo desatendido o lanzado desde el panel
+ * no se invoca SpreadsheetApp.getUi(): los mensajes quedan en el progreso.
+ * @param {Object} tramo - { idEjecucion, tiempoEmpezadoMS, contadoresPorUnidad, registrado } que el worker completa a medida
+ * que avanza, para que "continuarAuditoria" pueda dejar el tramo en el historial si se corta con una excepción.
  */
-function continuarAuditoria() {
+function procesarColaAuditoria(opciones, tramo) {
     const tiempoEmpezadoMS = new Date().getTime();
-    const ui = SpreadsheetApp.getUi();
+    const idEjecucion = generarIdEjecucion(tiempoEmpezadoMS); // API_Historial.js
+    tramo.idEjecucion = idEjecucion;
+    tramo.tiempoEmpezadoMS = tiempoEmpezadoMS;
+    const desatendido = Boolean(opciones && opciones.desatendido === true);
+    const sinInterfaz = desatendido || Boolean(opciones && opciones.desdePanel === true);
+    const tiempoMaximoMS = obtenerAjuste('minutosMaximosEjecucion') * 60 * 1000;
     const ss = SpreadsheetApp.getActiveSpreadsheet();
 
     // 1. Confirmar infraestructura oculta levantada
     const hojaDeCola = ss.getSheetByName(NOMBRE_HOJA_COLA);
     if (!hojaDeCola) {
-        ui.alert('Ausencia de tabla Cola ("Queue_STATE" No detectada). Debes usar primero "Iniciar Auditoría de Permisos".');
+        if (desatendido) {
+            desactivarModoDesatendido(); // Sin cola no hay nada que reanudar
+        }
+        avisarUsuario('Ausencia de tabla Cola ("Queue_STATE" No detectada). Debes usar primero "Iniciar Auditoría de Permisos".', sinInterfaz);
         return;
     }
 
     const hojaReporte = ss.getSheetByName(NOMBRE_HOJA_REPORTE);
     if (!hojaReporte) {
-        ui.alert(`Falta hoja gráfica Reportes de Salida ("${NOMBRE_HOJA_REPORTE}"). Proceso parado urgemente.`);
+        if (desatendido) {
+            desactivarModoDesatendido();
+        }
+        avisarUsuario(`Falta hoja gráfica Reportes de Salida ("${NOMBRE_HOJA_REPORTE}"). Proceso parado urgemente.`, sinInterfaz);
         return;
     }
 
+    // Reanudación de respaldo: si este tramo muere sin llegar a su pausa (límite duro de ejecución, error no capturado),
+    // el disparador lo retoma igual. La pausa la reemplaza por la reanudación normal y el final de la auditoría la retira.
+    if (modoDesatendidoActivo()) {
+        programarReanudacionAutomatica(obtenerAjuste('minutosMaximosEjecucion')); // API_Disparadores.js
+    }
+
     const dominioOrganizacion = Session.getEffectiveUser().getEmail().split('@')[1];
+    const filtroAlcance = crearFiltroAlcance(); // API_Alcance.js
+
+    // Progreso acumulado entre tramos para el panel lateral. Reanudar a mano anula una cancelación previa;
+    // un tramo desatendido la respeta para que el panel pueda detener el segundo plano.
+    if (!desatendido) {
+        retirarSolicitudCancelacion(); // API_Progreso.js
+    }
+    const debeCancelar = crearVerificadorCancelacion(); // API_Progreso.js
+    const progreso = publicarProgresoAuditoria({ estado: 'EN_CURSO', inicioTramoMS: tiempoEmpezadoMS }); // API_Progreso.js
+    let ultimaPublicacionMS = tiempoEmpezadoMS;
+    const publicarAvance = estado => {
+        publicarProgresoAuditoria({ estado: estado, carpetas: progreso.carpetas, archivos: progreso.archivos, hallazgos: progreso.hallazgos, rutaActual: progreso.rutaActual });
+        ultimaPublicacionMS = new Date().getTime();
+    };
+
+    // Contadores de avance por unidad (se vuelcan a la hoja de resumen y al historial en cada pausa o al terminar)
+    const contadoresPorUnidad = tramo.contadoresPorUnidad;
+    const contabilizar = (idUnidad, campo) => {
+        if (campo === 'hallazgos') {
+            progreso.hallazgos += 1;
+        }
+        if (!idUnidad) {
+            return;
+        }
+        contadoresPorUnidad[idUnidad] = contadoresPorUnidad[idUnidad] || { elementos: 0, hallazgos: 0, subcarpetasOmitidas: 0, archivosOmitidos: 0, errores: 0 };
+        contadoresPorUnidad[idUnidad][campo] += 1;
+    };
+
+    // Las filas puntuales (reintento de un elemento o elementos cambiados de una corrida incremental) no heredan ese modo
+    // a las carpetas que encolan: sus hijas se recorren completas
+    const sinModoPuntual = tracker => {
+        const copia = Object.assign({}, tracker);
+        delete copia.reintentoElemento;
+        delete copia.elementosCambiados;
+        return copia;
+    };
+
+    // Estado en memoria entre puntos de control: hallazgos por libro, errores y movimientos pendientes de la cola
+    const buferHallazgos = crearBuferHallazgos(idEjecucion); // API_SalidaDrive.js
+    const estadoCola = crearEstadoCola(); // API_Cola.js
+    let loteCola = [];
+    let indiceLote = 0;
+    let ultimoPuntoControlMS = tiempoEmpezadoMS;
+
+    // 2. Loop a nivel capa (1 elemento sacado, N hijos listados detrás), leyendo la cola por lotes
+    while (true) {
+        if (indiceLote >= loteCola.length) {
+            guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, null);
+            ultimoPuntoControlMS = new Date().getTime();
+            loteCola = leerLoteCola(hojaDeCola, TAMANO_LOTE_COLA);
+            indiceLote = 0;
+            if (loteCola.length === 0) {
+                break;
+            }
+        }
+
+        // Cancelación pedida desde el panel: la cola queda grabada en este punto de control y no se agendan más tramos
+        if (debeCancelar()) {
+            guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, null);
+            actualizarResumenUnidades(ss, contadoresPorUnidad, hojaDeCola); // API_SalidaDrive.js
+            registrarEjecucionEnHistorial(ss, idEjecucion, tiempoEmpezadoMS, 'Cancelada', contadoresPorUnidad); // API_Historial.js
+            tramo.registrado = true;
+            SpreadsheetApp.flush();
+            desactivarModoDesatendido();
+            retirarSolicitudCancelacion();
+            publicarAvance('CANCELADA');
+            avisarUsuario('Auditoría detenida a petición en un punto de control seguro. La cola se conservó: "Continuar Auditoría" la retoma y "Limpiar Estado" la descarta.', sinInterfaz);
+            return;
+        }
 
-    // 2. Loop a nivel capa (1 elemento sacado, N hijos listados detrás)
-    while (hojaDeCola.getLastRow() > 1) {
         const milisegundosMarcador = new Date().getTime();
-        if (milisegundosMarcador - tiempoEmpezadoMS > TIEMPO_MAXIMO_EJECUCION_MS) {
+        if (milisegundosMarcador - tiempoEmpezadoMS > tiempoMaximoMS) {
             // Bloqueo de cortocircuito (Evasión de Límite Runtime V8 Apps Script - Timeout Previsto)
+            guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, null);
+            actualizarResumenUnidades(ss, contadoresPorUnidad, hojaDeCola); // API_SalidaDrive.js
+            registrarEjecucionEnHistorial(ss, idEjecucion, tiempoEmpezadoMS, 'Pausa', contadoresPorUnidad); // API_Historial.js
+            tramo.registrado = true;
             SpreadsheetApp.flush();
-            ui.alert('Pausa táctica por Límite de Tiempo por CPU GSuite (Pasaron 20 minutos completos).\n\nProgreso indexado sin pérdidas. Presione opción "Continuar Auditoría" desde el Menú para resumir extracción.');
+            publicarAvance('PAUSADA');
+            notificarEventoAuditoria('PAUSA', ss); // API_Notificaciones.js
+            if (desatendido || modoDesatendidoActivo()) {
+                programarReanudacionAutomatica(); // El propio worker agenda su siguiente tramo
+                avisarUsuario('Pausa por límite de tiempo. Reanudación automática agendada en segundo plano.', sinInterfaz);
+                return;
+            }
+            avisarUsuario(`Pausa táctica por Límite de Tiempo por CPU GSuite (Pasaron ${obtenerAjuste('minutosMaximosEjecucion')} minutos completos).\n\nProgreso indexado sin pérdidas. Presione opción "Continuar Auditoría" desde el Menú para resumir extracción.`, sinInterfaz);
             return;
         }
 
-        // Extracción tipo Fila (Indice superior de cola, celda "A2" - "F2")
-        const rangoActualSuperior = hojaDeCola.getRange(2, 1, 1, hojaDeCola.getLastColumn());
-        const columnaMapeada = rangoActualSuperior.getValues()[0];
+        // Extracción tipo Fila (siguiente fila del lote leído de la cola, columnas "A" - "H")
+        const columnaMapeada = loteCola[indiceLote];
+        indiceLote += 1;
 
         let permisosAlmacenadosJSON;
         let paginacionRamaData;
         try {
-            permisosAlmacenadosJSON = JSON.parse(columnaMapeada[3]);
-            paginacionRamaData = JSON.parse(columnaMapeada[5] || "{}"); // Respaldo json vacio
+            permisosAlmacenadosJSON = leerCeldaCola(columnaMapeada[3]); // API_Cola.js
+            paginacionRamaData = leerCeldaCola(columnaMapeada[5], "{}"); // Respaldo json vacio
         } catch (e) {
-            Logger.log(`JSON Crash parsing en caché fila ruta: ${columnaMapeada[1]}: Detalles JSON: ${e.message}`);
-            hojaDeCola.deleteRow(2); // Suprimir registro corrompido, evita DeadLock cíclico.
+            // Sin caché legible no hay con qué reencolarla: queda en la hoja de errores como no reintentable
+            registrarErrorEnBufer(buferHallazgos, { idElemento: columnaMapeada[0], ruta: columnaMapeada[1], operacion: 'Lectura de la fila de cola', error: e }); // API_SalidaDrive.js
+            estadoCola.filasCompletadas += 1; // Suprimir registro corrompido, evita DeadLock cíclico.
             continue;
         }
 
+        // La caché de la fila son los permisos propios de la carpeta: contra ellos se comparan sus hijos.
+        // Su propio hallazgo ya lo registró el padre al listarla, por eso aquí no se vuelve a evaluar.
         const entidadDirectorioActual = {
             idNode: columnaMapeada[0],
             rutaArmada: columnaMapeada[1],
             urlVisita: columnaMapeada[2],
-            permisosRecuperadosPadre: permisosAlmacenadosJSON,
+            permisosCarpeta: permisosAlmacenadosJSON,
             banderaRaiz: columnaMapeada[4],
-            trackerPaginacion: paginacionRamaData
+            trackerPaginacion: paginacionRamaData,
+            tokenPagina: columnaMapeada[6] || null, // Página pendiente de una carpeta interrumpida a medias
+            profundidad: Number(columnaMapeada[7]) || 0 // Colas creadas antes de esta columna arrancan en 0
         };
-
-        let objetoCarpetaDrive;
-        try {
-            objetoCarpetaDrive = DriveApp.getFolderById(entidadDirectorioActual.idNode);
-        } catch (errores_api) {
-            Logger.log(`Punto Ciego de Carpeta ${entidadDirectorioActual.rutaArmada} (ID Cifrado: ${entidadDirectorioActual.idNode}). Fallo Inaccesible vía API: ${errores_api}`);
-            hojaReporte.appendRow([entidadDirectorioActual.rutaArmada, entidadDirectorioActual.urlVisita, 'Folder Ciego', `ERROR API Carga: Restricción del propio Google sobre la ID oculta: ${errores_api.message}`]);
-            hojaDeCola.deleteRow(2);
+        const idUnidadActual = entidadDirectorioActual.trackerPaginacion.idUnidad;
+
+        // Raíz pendiente (ver "construirFilaRaizPendiente"): se resuelve ahora y su fila real entra a la cola en el siguiente
+        // punto de control. La carpeta maestra queda en el tracker de la fila apenas se crea: si el tramo se corta antes,
+        // al repetir la fila se reutiliza en lugar de crear otra. Si falla, "encolarRaizUnidad" la deja en el resumen y en errores.
+        if (entidadDirectorioActual.trackerPaginacion.etapa === 'RAIZ') {
+            const trackerRaiz = entidadDirectorioActual.trackerPaginacion;
+            const resultadoRaiz = encolarRaizUnidad(entidadDirectorioActual.idNode, hojaReporte, trackerRaiz.fuenteDatos || undefined, {
+                id: trackerRaiz.idCarpetaMaestra || null,
+                alCrear: idCarpeta => {
+                    trackerRaiz.idCarpetaMaestra = idCarpeta;
+                    guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, entidadDirectorioActual);
+                }
+            });
+            if (resultadoRaiz.exito) {
+                estadoCola.filasNuevas.push(resultadoRaiz.filaCola);
+            }
+            progreso.rutaActual = entidadDirectorioActual.rutaArmada;
+            estadoCola.filasCompletadas += 1;
             continue;
         }
 
-        const permisosEntidadLocal = obtenerConjuntoPermisos(objetoCarpetaDrive); // Llama a API_Permisos.js
+        // Etapas de una auditoría incremental (API_Incremental.js): lectura de cambios y depuración de la auditoría anterior.
+        // Si se detiene por tiempo o cancelación, la fila graba su avance y el lote se da por agotado, como una carpeta a medias.
+        const etapa = entidadDirectorioActual.trackerPaginacion.etapa;
+        if (etapa === 'CAMBIOS' || etapa === 'DEPURAR') {
+            const etapaTerminada = procesarEtapaIncremental(entidadDirectorioActual, {
+                estadoCola: estadoCola,
+                buferHallazgos: buferHallazgos,
+                hojaReporte: hojaReporte,
+                debeDetenerse: () => new Date().getTime() - tiempoEmpezadoMS > tiempoMaximoMS || debeCancelar(),
+                guardarAvance: () => guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, entidadDirectorioActual),
+                alFallar: fallo => {
+                    contabilizar(idUnidadActual, 'errores');
+                    registrarErrorEnBufer(buferHallazgos, Object.assign({ idUnidad: idUnidadActual }, fallo)); // API_SalidaDrive.js
+                }
+            });
+            progreso.rutaActual = entidadDirectorioActual.rutaArmada;
+            if (!etapaTerminada) {
+                guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, entidadDirectorioActual);
+                loteCola = [];
+                indiceLote = 0;
+                continue;
+            }
+            estadoCola.filasCompletadas += 1;
+            continue;
+        }
 
-        // 3. Revisión Delta: Identificar desviaciones de la norma base
-        if (!entidadDirectorioActual.banderaRaiz) {
-            // Enlaza la ejecución reportada a API_Permisos.js
-            const hallazgoCarpeta = registrarDiferenciasPermisos(entidadDirectorioActual.permisosRecuperadosPadre, permisosEntidadLocal, entidadDirectorioActual.rutaArmada, entidadDirectorioActual.urlVisita, 'Carpeta Plegable', dominioOrganizacion);
-            if (hallazgoCarpeta) {
-                entidadDirectorioActual.trackerPaginacion = volcarHallazgoAPaginacion(entidadDirectorioActual.trackerPaginacion, hallazgoCarpeta);
+        const fuenteDatos = obtenerFuenteDatos(entidadDirectorioActual.trackerPaginacion.fuenteDatos); // API_FuenteDatos.js
+
+        // La raíz no la lista ningún padre: se anota en el índice de principales una sola vez, al empezar a recorrerla
+        if (entidadDirectorioActual.banderaRaiz && !entidadDirectorioActual.trackerPaginacion.raizIndexada) {
+            const elementoRaiz = { id: entidadDirectorioActual.idNode, ruta: entidadDirectorioActual.rutaArmada, tipoMime: MimeType.FOLDER, url: entidadDirectorioActual.urlVisita };
+            registrarEnIndicePrincipales(entidadDirectorioActual.trackerPaginacion, elementoRaiz, entidadDirectorioActual.permisosCarpeta, null, buferHallazgos); // API_IndicePrincipales.js
+            // Restricciones propias de la Unidad Compartida (dominio y miembros): un hallazgo por unidad, no uno por elemento
+            const filaRestricciones = construirFilaRestriccionesUnidad(entidadDirectorioActual.permisosCarpeta, elementoRaiz, entidadDirectorioActual.trackerPaginacion.modoSalida); // API_UsoCompartido.js
+            if (filaRestricciones) {
+                contabilizar(idUnidadActual, 'hallazgos');
+                entidadDirectorioActual.trackerPaginacion = volcarHallazgoAPaginacion(entidadDirectorioActual.trackerPaginacion, filaRestricciones, buferHallazgos); // API_SalidaDrive.js
             }
+            entidadDirectorioActual.trackerPaginacion.raizIndexada = true;
         }
 
-        // 4. Extracción Lineal de los documentos simples hijos
-        try {
-            const listaDocumentosHijos = objetoCarpetaDrive.getFiles();
-            while (listaDocumentosHijos.hasNext()) {
-                const documentoSingular = listaDocumentosHijos.next();
-                const senderoDocTexto = `${entidadDirectorioActual.rutaArmada}/${documentoSingular.getName()}`;
-                const enlaceDocSalida = documentoSingular.getUrl();
-                try {
-                    const permisosDelDocumento = obtenerConjuntoPermisos(documentoSingular);
-                    const hallazgoDoc = registrarDiferenciasPermisos(permisosEntidadLocal, permisosDelDocumento, senderoDocTexto, enlaceDocSalida, 'Documento Unitario', dominioOrganizacion);
-                    if (hallazgoDoc) {
-                        entidadDirectorioActual.trackerPaginacion = volcarHallazgoAPaginacion(entidadDirectorioActual.trackerPaginacion, hallazgoDoc);
+        // Fila creada por "reintentarErrores" para un solo elemento fallido: su página es ese elemento y no se relista la carpeta.
+        // Igual con los elementos cambiados de una corrida incremental (API_Incremental.js), pero esas subcarpetas sí se recorren.
+        const elementoReintento = entidadDirectorioActual.trackerPaginacion.reintentoElemento || null;
+        const elementosCambiados = entidadDirectorioActual.trackerPaginacion.elementosCambiados || null;
+
+        // 3. Recorrido paginado de los hijos (Drive.Files.list)
+        let carpetaPausada = false;
+        do {
+            const marcaPagina = new Date().getTime();
+            if (marcaPagina - tiempoEmpezadoMS > tiempoMaximoMS || debeCancelar()) {
+                carpetaPausada = true;
+                break;
+            }
+
+            // Punto de control periódico a mitad de carpeta: la fila en curso guarda su libro y su próxima página
+            if (marcaPagina - ultimoPuntoControlMS > INTERVALO_PUNTO_CONTROL_MS || buferHallazgos.totalFilas >= LIMITE_BUFER_HALLAZGOS) {
+                guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, entidadDirectorioActual);
+                ultimoPuntoControlMS = marcaPagina;
+            }
+
+            let paginaHijos;
+            try {
+                if (elementoReintento) {
+                    paginaHijos = { elementos: [elementoReintento], tokenSiguiente: null };
+                } else if (elementosCambiados) {
+                    // La fila solo trae IDs: los permisos de la carpeta y cada elemento se leen ahora, con su estado actual.
+                    // Un elemento que no se puede leer vuelve a la cola solo, con la carpeta ya resuelta.
+                    if (!entidadDirectorioActual.permisosCarpeta) {
+                        const esRaizDeUnidad = entidadDirectorioActual.idNode === entidadDirectorioActual.trackerPaginacion.idDrive;
+                        entidadDirectorioActual.permisosCarpeta = obtenerConjuntoPermisos(entidadDirectorioActual.idNode, esRaizDeUnidad, fuenteDatos); // API_Permisos.js
                     }
-                } catch (errorlecturadoc) {
-                    entidadDirectorioActual.trackerPaginacion = volcarHallazgoAPaginacion(entidadDirectorioActual.trackerPaginacion, [senderoDocTexto, enlaceDocSalida, 'Documento Unitario', `Alerta de Lectura en Permisología: ${errorlecturadoc.message}`]);
+                    const elementosReleidos = releerElementosCambiados(elementosCambiados, fuenteDatos, (idElemento, errorLectura) => { // API_Incremental.js
+                        contabilizar(idUnidadActual, 'errores');
+                        registrarErrorEnBufer(buferHallazgos, { // API_SalidaDrive.js
+                            idUnidad: idUnidadActual,
+                            idElemento: idElemento,
+                            ruta: entidadDirectorioActual.rutaArmada,
+                            operacion: 'Lectura de elemento cambiado',
+                            error: errorLectura,
+                            reencolado: { tipo: 'FILA_COLA', fila: construirFilaCola(Object.assign({}, entidadDirectorioActual, { trackerPaginacion: Object.assign({}, entidadDirectorioActual.trackerPaginacion, { elementosCambiados: [idElemento] }) })) } // API_Cola.js
+                        });
+                    });
+                    paginaHijos = { elementos: elementosReleidos, tokenSiguiente: null };
+                } else {
+                    paginaHijos = fuenteDatos.listarPaginaHijos(entidadDirectorioActual.idNode, entidadDirectorioActual.tokenPagina, entidadDirectorioActual.trackerPaginacion.idDrive); // API_Rastreo.js o instantánea
                 }
+            } catch (errores_api) {
+                hojaReporte.appendRow([entidadDirectorioActual.rutaArmada, entidadDirectorioActual.urlVisita, 'Folder Ciego', `ERROR API Carga: Restricción del propio Google sobre la ID oculta: ${errores_api.message}`]);
+                // El resto de la carpeta (desde esta página) queda registrado para "Reintentar errores" en lugar de perderse
+                contabilizar(idUnidadActual, 'errores');
+                registrarErrorEnBufer(buferHallazgos, { // API_SalidaDrive.js
+                    idUnidad: idUnidadActual,
+                    idElemento: entidadDirectorioActual.idNode,
+                    ruta: entidadDirectorioActual.rutaArmada,
+                    operacion: 'Listado de carpeta',
+                    error: errores_api,
+                    reencolado: { tipo: 'FILA_COLA', fila: construirFilaCola(entidadDirectorioActual) } // API_Cola.js
+                });
+                break;
             }
-        } catch (errorCargaFolders) {
-            Logger.log(`Problematica al tirar Folders Hijos de Root Folder ${entidadDirectorioActual.rutaArmada}: ${errorCargaFolders.message}`);
-        }
 
-        // 5. Recarga Reversa de Nueva Carpeta Hija sub encontrada directo en Cola final
-        const ramificacionesNuevasACola = [];
-        try {
-            const foldersDebajo = objetoCarpetaDrive.getFolders();
-            while (foldersDebajo.hasNext()) {
-                const subSubFolder = foldersDebajo.next();
-                const senderoNombre = `${entidadDirectorioActual.rutaArmada}/${subSubFolder.getName()}`;
+            paginaHijos.elementos.forEach(elementoHijo => {
+                const senderoHijo = `${entidadDirectorioActual.rutaArmada}/${elementoHijo.name}`;
+                const esCarpeta = elementoHijo.mimeType === MimeType.FOLDER;
+                const profundidadHijo = entidadDirectorioActual.profundidad + 1;
+
+                // Reglas de alcance: lo omitido no se evalúa, pero queda contado en el resumen por unidad
+                const alcance = evaluarAlcanceElemento(filtroAlcance, elementoHijo, senderoHijo, profundidadHijo); // API_Alcance.js
+                if (!alcance.auditar) {
+                    contabilizar(idUnidadActual, esCarpeta ? 'subcarpetasOmitidas' : 'archivosOmitidos');
+                    if (esCarpeta) {
+                        Logger.log(`Subcarpeta omitida (${alcance.motivo}): ${senderoHijo} (${elementoHijo.id}).`);
+                    }
+                    return;
+                }
+                if (!elementoReintento) { // Un elemento reintentado ya se contó en el recorrido original
+                    contabilizar(idUnidadActual, 'elementos');
+                    progreso[esCarpeta ? 'carpetas' : 'archivos'] += 1;
+                }
 
-                let trackerHerencia = Object.assign({}, entidadDirectorioActual.trackerPaginacion);
                 // Regla: Si la carpeta que estoy enviando a la cola es hija de NIVEL 1 (su padre era banderaRaiz), le corto la dependencia y le instancio su propio libro nuevo base para que ella empiece a registrar sus ramas ahi.
-                if (entidadDirectorioActual.banderaRaiz) {
-                    trackerHerencia = {
+                // En un reintento no aplica: la fila ya trae el libro que el elemento tenía al fallar
+                let trackerDestino = entidadDirectorioActual.trackerPaginacion;
+                if (esCarpeta && entidadDirectorioActual.banderaRaiz && !elementoReintento) {
+                    trackerDestino = {
                         idSheet: null,
                         filaActual: 1,
-                        ramaNombre: subSubFolder.getName(),
+                        ramaNombre: elementoHijo.name,
                         parteActual: 0,
-                        idCarpetaRaiz: entidadDirectorioActual.trackerPaginacion.idCarpetaRaiz
+                        idCarpetaRaiz: entidadDirectorioActual.trackerPaginacion.idCarpetaRaiz,
+                        idUnidad: idUnidadActual,
+                        modoSalida: entidadDirectorioActual.trackerPaginacion.modoSalida,
+                        fuenteDatos: entidadDirectorioActual.trackerPaginacion.fuenteDatos,
+                        idDrive: entidadDirectorioActual.trackerPaginacion.idDrive
                     };
                 }
 
-                ramificacionesNuevasACola.push([
-                    subSubFolder.getId(),
-                    senderoNombre,
-                    subSubFolder.getUrl(),
-                    JSON.stringify(permisosEntidadLocal), // Se re-heredan estos como padre temporal
-                    false, // Ya no es raiz natural
-                    JSON.stringify(trackerHerencia) // Se serializa el objeto de estado de libro de Sheets a usar
-                ]);
-            }
+                const tipoItem = esCarpeta ? 'Carpeta Plegable' : 'Documento Unitario';
+                let permisosHijo = null;
+                try {
+                    // Accesos directos: se audita su destino (permisos y ubicación), no el propio acceso directo
+                    if (elementoHijo.mimeType === MimeType.SHORTCUT) {
+                        const filasAccesoDirecto = construirFilasAccesoDirecto(entidadDirectorioActual.permisosCarpeta, elementoHijo, senderoHijo, dominioOrganizacion, fuenteDatos, trackerDestino.modoSalida); // API_AccesosDirectos.js
+                        if (filasAccesoDirecto.length > 0) {
+                            contabilizar(idUnidadActual, 'hallazgos');
+                        }
+                        filasAccesoDirecto.forEach(filaSalida => {
+                            trackerDestino = volcarHallazgoAPaginacion(trackerDestino, filaSalida, buferHallazgos);
+                        });
+                        // Quien alcanza el destino lo alcanza desde aquí: se indexa con sus propios permisos (ya en caché)
+                        const destinoResuelto = evaluarDestinoAccesoDirecto(elementoHijo, dominioOrganizacion, fuenteDatos);
+                        if (destinoResuelto.conjunto) {
+                            const elementoDestino = { id: destinoResuelto.destino.id, ruta: senderoHijo, tipoMime: destinoResuelto.destino.mimeType, url: destinoResuelto.destino.webViewLink };
+                            trackerDestino = registrarEnIndicePrincipales(trackerDestino, elementoDestino, destinoResuelto.conjunto, null, buferHallazgos); // API_IndicePrincipales.js
+                        }
+                        entidadDirectorioActual.trackerPaginacion = trackerDestino;
+                        return;
+                    }
 
-            // Encolado masivo a la AppScript Sheet
-            if (ramificacionesNuevasACola.length > 0) {
-                hojaDeCola.getRange(hojaDeCola.getLastRow() + 1, 1, ramificacionesNuevasACola.length, ramificacionesNuevasACola[0].length)
-                    .setValues(ramificacionesNuevasACola);
-            }
-        } catch (ejecucionFail) { }
+                    permisosHijo = obtenerConjuntoPermisosDeListado(elementoHijo, entidadDirectorioActual.permisosCarpeta, fuenteDatos); // API_Permisos.js
+                    const elementoIndice = { id: elementoHijo.id, ruta: senderoHijo, tipoMime: elementoHijo.mimeType, url: elementoHijo.webViewLink };
+                    trackerDestino = registrarEnIndicePrincipales(trackerDestino, elementoIndice, permisosHijo, entidadDirectorioActual.permisosCarpeta, buferHallazgos); // API_IndicePrincipales.js
+                    const hallazgo = registrarDiferenciasPermisos(entidadDirectorioActual.permisosCarpeta, permisosHijo, senderoHijo, elementoHijo.webViewLink, tipoItem, dominioOrganizacion, elementoHijo.id);
+                    if (hallazgo) {
+                        contabilizar(idUnidadActual, 'hallazgos');
+                        // Formato normalizado: una fila por principal y rol en lugar de la fila consolidada
+                        const filasSalida = trackerDestino.modoSalida === 'NORMALIZADO'
+                            ? construirFilasNormalizadas(entidadDirectorioActual.permisosCarpeta, permisosHijo, senderoHijo, elementoHijo.webViewLink, elementoHijo.mimeType, elementoHijo.id, dominioOrganizacion)
+                            : [hallazgo];
+                        filasSalida.forEach(filaSalida => {
+                            trackerDestino = volcarHallazgoAPaginacion(trackerDestino, filaSalida, buferHallazgos);
+                        });
+                    }
+                } catch (errorlecturadoc) {
+                    const filaError = construirFilaErrorLectura(trackerDestino.modoSalida, senderoHijo, elementoHijo.webViewLink, tipoItem, elementoHijo.mimeType, elementoHijo.id, errorlecturadoc.message); // API_SalidaDrive.js
+                    trackerDestino = volcarHallazgoAPaginacion(trackerDestino, filaError, buferHallazgos);
+                    // Se reencola la carpeta padre limitada a este elemento (ver "elementoReintento"), con el libro en el que
+                    // quedó su fila de error: para una carpeta de Nivel 1 es su propia rama, no la de la raíz
+                    contabilizar(idUnidadActual, 'errores');
+                    const entidadReintento = Object.assign({}, entidadDirectorioActual, {
+                        banderaRaiz: false,
+                        trackerPaginacion: Object.assign(sinModoPuntual(trackerDestino), { reintentoElemento: elementoHijo }),
+                        tokenPagina: null
+                    });
+                    registrarErrorEnBufer(buferHallazgos, { // API_SalidaDrive.js
+                        idUnidad: idUnidadActual,
+                        idElemento: elementoHijo.id,
+                        ruta: senderoHijo,
+                        operacion: 'Lectura de permisos',
+                        error: errorlecturadoc,
+                        reencolado: { tipo: 'FILA_COLA', fila: construirFilaCola(entidadReintento) } // API_Cola.js
+                    });
+                }
 
-        // 6. Ciclo matanza - destruye de hoja Cola fila 2 despues de finalizado el arbol.
-        hojaDeCola.deleteRow(2);
+                if (!esCarpeta) {
+                    entidadDirectorioActual.trackerPaginacion = trackerDestino;
+                    return;
+                }
+                if (!entidadDirectorioActual.banderaRaiz) {
+                    entidadDirectorioActual.trackerPaginacion = trackerDestino;
+                    trackerDestino = sinModoPuntual(trackerDestino); // La rama hija continúa el mismo libro
+                }
+                // En un reintento la subcarpeta ya se encoló (o se omitió) en el recorrido original
+                if (elementoReintento) {
+                    return;
+                }
+                // Carpeta fuera de alcance para recorrer: sus propios permisos ya se evaluaron, su contenido no se lista
+                if (!alcance.recorrer) {
+                    contabilizar(idUnidadActual, 'subcarpetasOmitidas');
+                    Logger.log(`Contenido no recorrido (${alcance.motivo}): ${senderoHijo} (${elementoHijo.id}).`);
+                    return;
+                }
+
+                // 4. Recarga Reversa de Nueva Carpeta Hija sub encontrada, en memoria hasta el siguiente punto de control
+                estadoCola.filasNuevas.push(construirFilaCola({ // API_Cola.js
+                    idNode: elementoHijo.id,
+                    rutaArmada: senderoHijo,
+                    urlVisita: elementoHijo.webViewLink,
+                    permisosCarpeta: permisosHijo || entidadDirectorioActual.permisosCarpeta, // Sin lectura posible se asume la herencia del padre
+                    banderaRaiz: false, // Ya no es raiz natural
+                    trackerPaginacion: trackerDestino, // Estado del libro de Sheets a usar
+                    tokenPagina: null,
+                    profundidad: profundidadHijo
+                }));
+            });
 
+            // 5. Avance de página en memoria (se persiste en el siguiente punto de control)
+            entidadDirectorioActual.tokenPagina = paginaHijos.tokenSiguiente;
+            progreso.rutaActual = entidadDirectorioActual.rutaArmada;
+            if (new Date().getTime() - ultimaPublicacionMS > SEGUNDOS_REFRESCO_PANEL * 1000) {
+                publicarAvance('EN_CURSO');
+            }
+        } while (entidadDirectorioActual.tokenPagina);
+
+        // 6. Carpeta terminada: su fila se elimina en el siguiente punto de control. Si quedó a medias por tiempo,
+        // se graba su progreso y el lote se da por agotado para que el control de tiempo pause el ciclo.
+        if (carpetaPausada) {
+            guardarPuntoControlCola(hojaDeCola, estadoCola, buferHallazgos, entidadDirectorioActual);
+            loteCola = [];
+            indiceLote = 0;
+            continue;
+        }
+        estadoCola.filasCompletadas += 1;
     }
 
-    // 7. Vaciado limpio. Cola esta sin hijos adentro (solo headers cabecera).
+    // 7. Vaciado limpio. Cola esta sin hijos adentro (solo headers cabecera). El cierre (tablero y exportación) va
+    // por pasos: si no alcanza el tiempo, el tramo se pausa como cualquier otro y el siguiente lo retoma.
     if (hojaDeCola.getLastRow() <= 1) {
+        actualizarResumenUnidades(ss, contadoresPorUnidad, hojaDeCola);
+        const quedaTiempo = () => new Date().getTime() - tiempoEmpezadoMS <= tiempoMaximoMS;
+        if (!ejecutarFinalizacionAuditoria(ss, quedaTiempo)) { // API_Finalizacion.js
+            registrarEjecucionEnHistorial(ss, idEjecucion, tiempoEmpezadoMS, 'Pausa', contadoresPorUnidad, 'Cola vacía: cierre (tablero y exportación) pendiente'); // API_Historial.js
+            tramo.registrado = true;
+            SpreadsheetApp.flush();
+            publicarAvance('PAUSADA');
+            if (desatendido || modoDesatendidoActivo()) {
+                programarReanudacionAutomatica();
+                avisarUsuario('Cola vacía. El cierre (tablero y exportación) continúa en el siguiente tramo en segundo plano.', sinInterfaz);
+                return;
+            }
+            avisarUsuario('La cola se vació, pero el cierre (tablero y exportación) no terminó dentro del límite de tiempo. Presione "Continuar Auditoría" para completarlo.', sinInterfaz);
+            return;
+        }
+
         Logger.log('Procesamiento completado y analizado en su totalidad del árbol.');
-        limpiarEstadoAuditoria(true);
+        registrarEjecucionEnHistorial(ss, idEjecucion, tiempoEmpezadoMS, 'Completada', contadoresPorUnidad); // API_Historial.js
+        tramo.registrado = true;
+        confirmarPuntosCambios(ss); // API_Incremental.js (punto de partida de la próxima auditoría incremental)
+        notificarEventoAuditoria('COMPLETADA', ss); // API_Notificaciones.js
+        limpiarEstadoAuditoria(true); // También retira los disparadores del modo desatendido y el avance del cierre
+        progreso.rutaActual = '';
+        publicarAvance('COMPLETADA');
         SpreadsheetApp.flush();
-        ui.alert('¡Barrido y Auditoría Arquitectónica finalizada 100% de forma correcta con éxito total!');
+        avisarUsuario('¡Barrido y Auditoría Arquitectónica finalizada 100% de forma correcta con éxito total!', sinInterfaz);
     }
 }
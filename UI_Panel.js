@@ -0,0 +1,23 @@
+/**
+ * Archivo: UI_Panel.js
+ * Propósito: Panel lateral (HtmlService) con el formulario de inicio, el avance en vivo de la auditoría
+ * y el botón para detenerla en un punto de control seguro. La vista vive en UI_Panel.html.
+ */
+
+/**
+ * Muestra el panel lateral de la auditoría.
+ */
+function abrirPanelAuditoria() {
+    const plantilla = HtmlService.createTemplateFromFile(NOMBRE_ARCHIVO_PANEL);
+    plantilla.segundosRefresco = SEGUNDOS_REFRESCO_PANEL;
+    SpreadsheetApp.getUi().showSidebar(plantilla.evaluate().setTitle('Auditoría de Drive'));
+}
+
+/**
+ * Reanuda la auditoría en pausa desde el panel, sin alerts: el avance y el mensaje final se ven en el panel.
+ * @return {string} Último mensaje del worker (pausa, cancelación o fin).
+ */
+function continuarAuditoriaDesdePanel() {
+    continuarAuditoria({ desdePanel: true }); // UI_Menu.js
+    return leerProgresoAuditoria().mensaje; // API_Progreso.js
+}
@@ -0,0 +1,111 @@
+/**
+ * Archivo: UI_Remediacion.js
+ * Propósito: Puntos de entrada del menú para remediar hallazgos (vista previa, confirmación y aplicación)
+ * y para restaurar los permisos originales desde el registro de deshacer.
+ */
+
+/**
+ * Lee los hallazgos de una carpeta de auditoría, muestra en una hoja la vista previa de los accesos
+ * que se eliminarían o degradarían para igualar al padre, y solo los aplica tras la confirmación del usuario.
+ */
+function remediarHallazgos() {
+    const ui = SpreadsheetApp.getUi();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    // 1. Elegir la carpeta de auditoría (por defecto, la de la última corrida)
+    const ultimaCarpeta = PropertiesService.getScriptProperties().getProperty(CLAVE_ULTIMA_CARPETA_AUDITORIA) || '';
+    const respuesta = ui.prompt('Remediar Hallazgos', `ID o enlace de la carpeta "${obtenerAjuste('prefijoCarpetaAuditoria')}" a remediar.\nDeje vacío para usar la última auditoría${ultimaCarpeta ? ` (${ultimaCarpeta})` : ''}:`, ui.ButtonSet.OK_CANCEL);
+    if (respuesta.getSelectedButton() !== ui.Button.OK) {
+        ui.alert('Remediación cancelada a petición.');
+        return;
+    }
+    const idCarpetaAuditoria = extraerIdDrive(respuesta.getResponseText()) || ultimaCarpeta;
+    if (!idCarpetaAuditoria) {
+        ui.alert('No se indicó carpeta y no hay auditorías previas registradas.');
+        return;
+    }
+
+    // 2. Plan de cambios (dry-run). Cada fase mide su propio tiempo: lo que el usuario tarda en responder no lo descuenta.
+    let plan;
+    try {
+        const hallazgos = leerHallazgosDeCarpeta(idCarpetaAuditoria); // API_SalidaDrive.js
+        plan = planificarRemediacion(hallazgos, new Date().getTime()); // API_Remediacion.js
+    } catch (error) {
+        Logger.log(`[Remediación] No se pudo leer la carpeta ${idCarpetaAuditoria}: ${error.message}`);
+        ui.alert(`No se pudieron leer los hallazgos de la carpeta indicada:\n${error.message}`);
+        return;
+    }
+
+    let hojaVista = ss.getSheetByName(NOMBRE_HOJA_VISTA_REMEDIACION);
+    if (hojaVista) {
+        hojaVista.clear();
+    } else {
+        hojaVista = ss.insertSheet(NOMBRE_HOJA_VISTA_REMEDIACION);
+    }
+    hojaVista.appendRow(CABECERAS_VISTA_REMEDIACION);
+    hojaVista.setFrozenRows(1);
+    hojaVista.getRange(1, 1, 1, CABECERAS_VISTA_REMEDIACION.length).setFontWeight('bold');
+
+    if (plan.acciones.length === 0) {
+        ui.alert('No hay accesos que eliminar o degradar: los elementos ya coinciden con su carpeta padre (o solo tienen permisos heredados).');
+        return;
+    }
+
+    const filasVista = plan.acciones.map(accion => [
+        accion.ruta,
+        accion.idElemento,
+        accion.accion,
+        accion.principal,
+        accion.tipo,
+        ETIQUETAS_ROLES_DRIVE[accion.rolActual] || accion.rolActual,
+        accion.rolObjetivo ? (ETIQUETAS_ROLES_DRIVE[accion.rolObjetivo] || accion.rolObjetivo) : 'Sin acceso',
+        accion.severidad
+    ]);
+    hojaVista.getRange(2, 1, filasVista.length, CABECERAS_VISTA_REMEDIACION.length).setValues(filasVista);
+    hojaVista.activate();
+    SpreadsheetApp.flush();
+
+    // 3. Confirmación explícita antes de tocar Drive
+    const eliminaciones = plan.acciones.filter(accion => accion.accion === 'Eliminar').length;
+    const degradaciones = plan.acciones.length - eliminaciones;
+    const avisoParcial = plan.completo ? '' : '\n\n(Vista previa parcial: se agotó el tiempo antes de revisar todos los hallazgos.)';
+    const confirmacion = ui.alert('Confirmar Remediación', `Vista previa en la hoja "${NOMBRE_HOJA_VISTA_REMEDIACION}":\n- Accesos a eliminar: ${eliminaciones}\n- Accesos a degradar: ${degradaciones}${avisoParcial}\n\n¿Aplicar estos cambios en Drive? Cada cambio quedará en "${NOMBRE_HOJA_REGISTRO_DESHACER}".`, ui.ButtonSet.YES_NO);
+    if (confirmacion !== ui.Button.YES) {
+        ui.alert('Remediación no aplicada. La vista previa se conserva para revisión.');
+        return;
+    }
+
+    // 4. Aplicación con registro de deshacer
+    let hojaRegistro = ss.getSheetByName(NOMBRE_HOJA_REGISTRO_DESHACER);
+    if (!hojaRegistro) {
+        hojaRegistro = ss.insertSheet(NOMBRE_HOJA_REGISTRO_DESHACER);
+        hojaRegistro.appendRow(CABECERAS_REGISTRO_DESHACER);
+        hojaRegistro.setFrozenRows(1);
+        hojaRegistro.getRange(1, 1, 1, CABECERAS_REGISTRO_DESHACER.length).setFontWeight('bold');
+    }
+
+    const resumen = aplicarRemediacion(plan.acciones, hojaRegistro, new Date().getTime()); // API_Remediacion.js
+    SpreadsheetApp.flush();
+    ui.alert(`Remediación terminada.\n- Aplicadas: ${resumen.aplicadas}\n- Fallidas: ${resumen.fallidas}\n- Pendientes por límite de tiempo: ${resumen.pendientes}\n\nPuede revertirlas con "Restaurar Permisos Remediados".`);
+}
+
+/**
+ * Restaura los permisos originales de todos los cambios aplicados que figuran en el registro de deshacer.
+ */
+function restaurarPermisosRemediados() {
+    const ui = SpreadsheetApp.getUi();
+    const hojaRegistro = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(NOMBRE_HOJA_REGISTRO_DESHACER);
+    if (!hojaRegistro || hojaRegistro.getLastRow() < 2) {
+        ui.alert(`No existe registro de deshacer ("${NOMBRE_HOJA_REGISTRO_DESHACER}") con cambios para restaurar.`);
+        return;
+    }
+
+    const confirmacion = ui.alert('Confirmar Restauración', 'Se devolverán a su estado original todos los permisos marcados como "Aplicado" en el registro de deshacer. ¿Continuar?', ui.ButtonSet.YES_NO);
+    if (confirmacion !== ui.Button.YES) {
+        return;
+    }
+
+    const resumen = restaurarDesdeRegistroDeshacer(hojaRegistro); // API_Remediacion.js
+    SpreadsheetApp.flush();
+    ui.alert(`Restauración terminada.\n- Restauradas: ${resumen.restauradas}\n- Fallidas: ${resumen.fallidas}`);
+}